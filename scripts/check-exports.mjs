@@ -0,0 +1,67 @@
+// Smoke check of the built package: imports and requires every entry point
+// in the "exports" map of package.json, through the package's own name, so
+// a missing file or a named export that doesn't exist fails here instead of
+// in an app. Run `npm run build` first.
+
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+
+const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+const require = createRequire(import.meta.url);
+
+// Entries whose default export is the API object, which must also be
+// available as named ESM exports
+const API_ENTRIES = ['.', './core', './auto'];
+
+// Optional peer dependencies that may not be installed
+function missingPeer(error) {
+    return /Cannot find (module|package) 'react'/.test(error.message);
+}
+
+let failures = 0;
+
+function fail(entry, message) {
+    failures++;
+    console.error(`✗ ${entry}: ${message}`);
+}
+
+for (const [subpath, target] of Object.entries(pkg.exports)) {
+    if (subpath === './package.json') continue;
+    const specifier = subpath === '.' ? pkg.name : `${pkg.name}/${subpath.slice(2)}`;
+    // The UMD bundle is for <script> tags and needs a document, so it's only resolved
+    if (typeof target === 'string') {
+        try {
+            require.resolve(specifier);
+            console.log(`✓ ${specifier}: resolves`);
+        } catch (error) {
+            fail(specifier, error.message);
+        }
+        continue;
+    }
+    const conditions = Object.keys(target);
+    for (const condition of conditions) {
+        let module;
+        try {
+            module = condition === 'import' ? await import(specifier) : require(specifier);
+        } catch (error) {
+            if (missingPeer(error)) {
+                console.log(`- ${specifier} (${condition}): skipped, react is not installed`);
+                continue;
+            }
+            fail(`${specifier} (${condition})`, error.message);
+            continue;
+        }
+        const names = Object.keys(module);
+        if (!names.length) fail(`${specifier} (${condition})`, 'no exports');
+        if (condition === 'import' && API_ENTRIES.includes(subpath)) {
+            const missing = Object.keys(module.default || {}).filter(name => !(name in module));
+            if (missing.length) fail(`${specifier} (import)`, `no named export for ${missing.join(', ')}`);
+        }
+        console.log(`✓ ${specifier} (${condition}): ${names.length} exports`);
+    }
+}
+
+if (failures) {
+    console.error(`${failures} failed`);
+    process.exit(1);
+}
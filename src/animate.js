@@ -0,0 +1,128 @@
+// Interpolation between two variablur configurations, used for
+// --variablur-transition and animateTo(). Configurations are the string
+// values from readConfig(), so every frame renders through the normal update path.
+
+import filterConverter from './filter.js';
+import parseEasing from './easing.js';
+import { parseColor, formatColor, mixColors } from './color.js';
+import { splitTopLevel } from './calc.js';
+
+// Values filter functions fall back to when one list is shorter than the other
+const FILTER_IDENTITY = {
+    blur: [0, 'px'],
+    brightness: [1],
+    contrast: [1],
+    saturate: [1],
+    opacity: [1],
+    grayscale: [0],
+    invert: [0],
+    sepia: [0],
+    'hue-rotate': [0, 'deg']
+};
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Discrete values switch halfway, like CSS does for values it can't interpolate
+function discrete(from, to, t) {
+    return t < 0.5 ? from : to;
+}
+
+function parseFilter(value) {
+    try {
+        return filterConverter.normalize(filterConverter.fromString(value));
+    } catch (error) {
+        return null;
+    }
+}
+
+function identityFor(name) {
+    const identity = FILTER_IDENTITY[name];
+    return identity ? [name, ...identity] : null;
+}
+
+function interpolateFilters(from, to, t) {
+    const a = parseFilter(from);
+    const b = parseFilter(to);
+    if (!a || !b) return discrete(from, to, t);
+    const result = [];
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const start = a[i] || identityFor(b[i][0]);
+        const end = b[i] || identityFor(a[i][0]);
+        if (!start || !end || start[0] !== end[0] || typeof start[1] !== 'number' || typeof end[1] !== 'number' || start[2] !== end[2]) {
+            // Different functions or arguments we can't interpolate
+            return discrete(from, to, t);
+        }
+        result.push(end[2] ? [end[0], lerp(start[1], end[1], t), end[2]] : [end[0], lerp(start[1], end[1], t)]);
+    }
+    return filterConverter.toString(result);
+}
+
+// Lengths are mixed with calc() so each one still resolves against its own
+// basis (percentages, em, ...) when it's rendered
+function interpolateLengths(from, to, t) {
+    // A unitless 0 is a valid length, but can't be added to one in calc()
+    const length = value => value === "0" ? "0px" : value;
+    const a = splitTopLevel(from || "0px", "/").map(length);
+    const b = splitTopLevel(to || "0px", "/").map(length);
+    if (a.length !== b.length) return discrete(from, to, t);
+    return a.map((start, i) => start === b[i] ? start : `calc(${start} * ${1 - t} + ${b[i]} * ${t})`).join(" / ");
+}
+
+function interpolateColors(from, to, t) {
+    const a = parseColor(from || "transparent");
+    const b = parseColor(to || "transparent");
+    if (!a || !b) return discrete(from, to, t);
+    return formatColor(mixColors(a, b, t));
+}
+
+function interpolateNumbers(from, to, t) {
+    const a = parseFloat(from);
+    const b = parseFloat(to);
+    // No refraction is the same as a refraction of 0
+    if (isNaN(a) && isNaN(b)) return discrete(from, to, t);
+    return String(lerp(isNaN(a) ? 0 : a, isNaN(b) ? 0 : b, t));
+}
+
+const INTERPOLATORS = {
+    filter: interpolateFilters,
+    offset: interpolateLengths,
+    color: interpolateColors,
+    glassRefraction: interpolateNumbers,
+    glassDispersion: interpolateNumbers,
+    glassLightIntensity: interpolateNumbers,
+    glassOffset: interpolateLengths,
+    glassThickness: interpolateLengths,
+    glassRimWidth: interpolateLengths
+};
+
+function interpolateConfig(from, to, t) {
+    if (t <= 0) return Object.assign({}, from);
+    if (t >= 1) return Object.assign({}, to);
+    const config = {};
+    for (const key of Object.keys(to)) {
+        const interpolate = INTERPOLATORS[key];
+        config[key] = from[key] === to[key] ? to[key]
+            : interpolate ? interpolate(from[key], to[key], t)
+                : discrete(from[key], to[key], t);
+    }
+    return config;
+}
+
+// `300ms ease-out`, `0.4s cubic-bezier(...)`. Returns null for no transition.
+function parseTransition(value) {
+    const parts = splitTopLevel(String(value || '').trim(), " ");
+    let duration = 0;
+    let easing = null;
+    for (const part of parts) {
+        const time = /^(\d*\.?\d+)(ms|s)$/i.exec(part);
+        if (time) duration = parseFloat(time[1]) * (time[2].toLowerCase() === 's' ? 1000 : 1);
+        else easing = parseEasing(part);
+    }
+    if (!(duration > 0)) return null;
+    return { duration, easing: easing || parseEasing('ease') };
+}
+
+export { interpolateConfig, interpolateFilters, parseTransition };
+export default interpolateConfig;
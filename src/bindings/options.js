@@ -0,0 +1,25 @@
+// Shared by the framework bindings, which get a new options object on every render
+
+function sameOption(a, b) {
+    if (a === b) return true;
+    // Filter lists like [['blur', 20, 'px']] are often written inline
+    return Array.isArray(a) && Array.isArray(b) && JSON.stringify(a) === JSON.stringify(b);
+}
+
+// The options to pass to set() to go from `previous` to `next`: the changed
+// values, and null for removed ones so the CSS value applies again.
+// Returns null when nothing changed.
+function optionChanges(previous, next) {
+    const from = previous || {};
+    const to = next || {};
+    const changes = {};
+    let changed = false;
+    for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+        if (sameOption(from[key], to[key])) continue;
+        changes[key] = key in to ? to[key] : null;
+        changed = true;
+    }
+    return changed ? changes : null;
+}
+
+export { optionChanges };
@@ -0,0 +1,60 @@
+// React bindings: the useVariablur() hook and the <Variablur> component.
+// Effects don't run during server rendering, so neither does anything there.
+//
+//   const ref = useRef(null);
+//   useVariablur(ref, { filter: 'blur(20px)', direction: 'top' });
+//   return <header ref={ref}>...</header>;
+//
+//   <Variablur as="header" options={{ filter: 'blur(20px)' }}>...</Variablur>
+
+import { createElement, forwardRef, useCallback, useEffect, useRef } from 'react';
+import { attach } from '../core.js';
+import { optionChanges } from './options.js';
+
+// Attaches to `ref.current` after mounting, applies changed options after
+// every render and detaches when unmounting. `ref.current` is checked after
+// every render too, since it can change without `ref` changing (e.g. when
+// the element is conditionally rendered or its type changes): the old element
+// is detached and the new one attached. Returns a ref to the instance.
+function useVariablur(ref, options) {
+    const instance = useRef(null);
+    const element = useRef(null);
+    const applied = useRef(null);
+    useEffect(() => {
+        const el = ref.current || null;
+        if (el !== element.current) {
+            if (instance.current) instance.current.destroy();
+            instance.current = el ? attach(el, options) : null;
+            element.current = el;
+            applied.current = options;
+            return;
+        }
+        if (!instance.current) return;
+        const changes = optionChanges(applied.current, options);
+        applied.current = options;
+        if (changes) instance.current.set(changes);
+    });
+    useEffect(() => () => {
+        if (instance.current) instance.current.destroy();
+        instance.current = null;
+        element.current = null;
+        applied.current = null;
+    }, []);
+    return instance;
+}
+
+// Renders `as` (a div by default) with the effect attached. Other props go
+// to the element, including a ref.
+const Variablur = forwardRef(function Variablur({ as = 'div', options, ...props }, forwardedRef) {
+    const ref = useRef(null);
+    useVariablur(ref, options);
+    const setRef = useCallback(node => {
+        ref.current = node;
+        if (typeof forwardedRef === 'function') forwardedRef(node);
+        else if (forwardedRef) forwardedRef.current = node;
+    }, [forwardedRef]);
+    return createElement(as, Object.assign({}, props, { ref: setRef }));
+});
+
+export { useVariablur, Variablur };
+export default Variablur;
@@ -0,0 +1,25 @@
+// Svelte binding: the variablur action. Actions only run in the browser, so
+// it does nothing during server rendering.
+//
+//   <header use:variablur={{ filter: 'blur(20px)', direction: 'top' }}>...</header>
+
+import { attach } from '../core.js';
+import { optionChanges } from './options.js';
+
+function variablur(node, options) {
+    const instance = attach(node, options);
+    let applied = options;
+    return {
+        update(next) {
+            const changes = optionChanges(applied, next);
+            applied = next;
+            if (changes) instance.set(changes);
+        },
+        destroy() {
+            instance.destroy();
+        }
+    };
+}
+
+export { variablur };
+export default variablur;
@@ -0,0 +1,31 @@
+// Vue binding: the v-variablur directive. Directive hooks don't run during
+// server rendering, so it does nothing there.
+//
+//   app.use(VariablurPlugin);
+//   <header v-variablur="{ filter: 'blur(20px)', direction: 'top' }">...</header>
+
+import { attach, getInstance } from '../core.js';
+import { optionChanges } from './options.js';
+
+const vVariablur = {
+    mounted(el, binding) {
+        attach(el, binding.value || undefined);
+    },
+    updated(el, binding) {
+        const changes = optionChanges(binding.oldValue, binding.value);
+        if (changes) getInstance(el).set(changes);
+    },
+    beforeUnmount(el) {
+        getInstance(el).destroy();
+    }
+};
+
+// Registers the directive as v-variablur
+const VariablurPlugin = {
+    install(app) {
+        app.directive('variablur', vVariablur);
+    }
+};
+
+export { vVariablur, VariablurPlugin };
+export default VariablurPlugin;
@@ -0,0 +1,31 @@
+// How a total blur is split across the layers. Blurs stack as the root of
+// the sum of squares, so the layers together add up to the total.
+
+function calcBlurPerLayer(totalPx, layers) {
+    if (layers <= 0) throw new Error("layers must be > 0");
+    return totalPx / Math.sqrt(layers);
+}
+
+function exponentialBlurLayers(totalPx, layers, base = 2) {
+    if (layers <= 0) throw new Error("layers must be > 0");
+    const weights = Array.from({ length: layers }, (_, i) => Math.pow(base, i));
+    const weightSquaresSum = weights.reduce((sum, w) => sum + w * w, 0);
+    const scale = totalPx / Math.sqrt(weightSquaresSum);
+    return weights.map(w => w * scale);
+}
+
+// Like exponentialBlurLayers, but the blur accumulated up to each layer
+// follows the easing curve instead of doubling every layer
+function easedBlurLayers(totalPx, layers, easing) {
+    if (layers <= 0) throw new Error("layers must be > 0");
+    let previous = 0;
+    return Array.from({ length: layers }, (_, i) => {
+        // Blur can't be taken away by a layer, so overshooting curves flatten out
+        const target = Math.max(previous, totalPx * easing((i + 1) / layers));
+        const blur = Math.sqrt(target * target - previous * previous);
+        previous = target;
+        return blur;
+    });
+}
+
+export { calcBlurPerLayer, exponentialBlurLayers, easedBlurLayers };
@@ -1,58 +1,216 @@
-import debug from "./debug.js";
-function parseCalcRelative(calcString, element, direction = 0) {
-    const rect = element.getBoundingClientRect();
-    const width = rect.width;
-    const height = rect.height;
+// CSS math for offsets and lengths: numbers, lengths, percentages,
+// calc(), min(), max(), clamp() and the `width`/`height` keywords.
+// Values are tokenized and evaluated directly, so nothing goes through
+// eval or new Function and strict CSP setups keep working.
 
-    function preprocess(str) {
-        str = str.trim();
+const ABSOLUTE_UNITS = {
+    px: 1,
+    cm: 96 / 2.54,
+    mm: 96 / 25.4,
+    q: 96 / 101.6,
+    in: 96,
+    pt: 96 / 72,
+    pc: 16
+};
+const FUNCTIONS = ['calc', 'min', 'max', 'clamp'];
 
-        // remove outer calc() if present
-        if (str.startsWith('calc(') && str.endsWith(')')) {
-            str = str.slice(5, -1);
+class CalcError extends Error {
+    constructor(message, input, position) {
+        super(position === undefined
+            ? `${message} in "${input}"`
+            : `${message} at position ${position} in "${input}"`);
+        this.name = 'CalcError';
+        this.input = input;
+        this.position = position;
+    }
+}
+
+function tokenize(input) {
+    const tokens = [];
+    const pattern = /\s+|(-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|[a-z]+)?|(-?[a-z][a-z-]*)(\()?|([-+*/(),])/iy;
+    let match;
+    while (pattern.lastIndex < input.length) {
+        const position = pattern.lastIndex;
+        match = pattern.exec(input);
+        if (!match) throw new CalcError(`Unexpected "${input[position]}"`, input, position);
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[1]), unit: (match[2] || '').toLowerCase(), position });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: match[4] ? 'function' : 'ident', value: match[3].toLowerCase(), position });
+        } else if (match[5] !== undefined) {
+            tokens.push({ type: match[5], position });
         }
+    }
+    return tokens;
+}
 
-        // replace width/height keywords based on direction
-        if (direction === 0) {
-            str = str.replace(/\bwidth\b/g, width);
-            str = str.replace(/\bheight\b/g, height);
-        } else {
-            str = str.replace(/\bwidth\b/g, height);
-            str = str.replace(/\bheight\b/g, width);
+// Evaluates to { value, length }, where `length` tells a length (in px)
+// from a plain number, so `10px + 2` and `10px * 2px` can be rejected
+function evaluate(input, context) {
+    const tokens = tokenize(input);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const fail = (message, token = peek()) =>
+        new CalcError(message, input, token ? token.position : input.length);
+
+    function expect(type) {
+        const token = peek();
+        if (!token || token.type !== type) throw fail(token ? `Expected "${type}"` : `Missing "${type}"`);
+        index++;
+        return token;
+    }
+
+    function combine(a, b, op, token) {
+        if (op === '+' || op === '-') {
+            if (a.length !== b.length) throw fail(`Can't ${op === '+' ? 'add' : 'subtract'} a number and a length`, token);
+            return { value: op === '+' ? a.value + b.value : a.value - b.value, length: a.length };
+        }
+        if (op === '*') {
+            if (a.length && b.length) throw fail("Can't multiply two lengths", token);
+            return { value: a.value * b.value, length: a.length || b.length };
         }
+        if (b.length) throw fail("Can't divide by a length", token);
+        if (b.value === 0) throw fail("Division by zero", token);
+        return { value: a.value / b.value, length: a.length };
+    }
 
-        // replace percentages relative to width or height based on direction
-        str = str.replace(/([\d.]+)%/g, (_, p1) =>
-            direction === 0
-                ? `(${p1} / 100) * width`
-                : `(${p1} / 100) * height`
-        );
+    function sum() {
+        let result = product();
+        while (peek() && (peek().type === '+' || peek().type === '-')) {
+            const token = tokens[index++];
+            result = combine(result, product(), token.type, token);
+        }
+        return result;
+    }
 
-        // add *1 for px values so math engine works
-        str = str.replace(/([\d.]+)px/g, (_, p1) => `${p1} * 1`);
+    function product() {
+        let result = unary();
+        while (peek() && (peek().type === '*' || peek().type === '/')) {
+            const token = tokens[index++];
+            result = combine(result, unary(), token.type, token);
+        }
+        return result;
+    }
 
-        return str;
+    function unary() {
+        const token = peek();
+        if (token && (token.type === '-' || token.type === '+')) {
+            index++;
+            const operand = unary();
+            return token.type === '-' ? { value: -operand.value, length: operand.length } : operand;
+        }
+        return operand();
     }
 
-    function safeEval(expression) {
-        try {
-            // eslint-disable-next-line no-new-func
-            return new Function('width', 'height', `return (${expression});`)(width, height);
-        } catch (e) {
-            debug.error('calc() evaluation failed:', e);
-            return null;
+    function operand() {
+        const token = peek();
+        if (!token) throw fail('Unexpected end of value');
+        index++;
+        if (token.type === 'number') return resolveUnit(token);
+        if (token.type === '(') {
+            const result = sum();
+            expect(')');
+            return result;
         }
+        if (token.type === 'ident') {
+            if (token.value === 'width') return { value: context.width, length: true };
+            if (token.value === 'height') return { value: context.height, length: true };
+            throw fail(`Unknown keyword "${token.value}"`, token);
+        }
+        if (token.type === 'function') {
+            if (!FUNCTIONS.includes(token.value)) throw fail(`Unsupported function "${token.value}()"`, token);
+            return callFunction(token);
+        }
+        throw fail(`Unexpected "${token.type}"`, token);
+    }
+
+    function callFunction(token) {
+        const args = [sum()];
+        while (peek() && peek().type === ',') {
+            index++;
+            args.push(sum());
+        }
+        expect(')');
+        if (token.value === 'calc' && args.length !== 1) throw fail('calc() takes one argument', token);
+        if (token.value === 'clamp' && args.length !== 3) throw fail('clamp() takes three arguments', token);
+        if (args.some(arg => arg.length !== args[0].length)) throw fail(`Can't mix numbers and lengths in ${token.value}()`, token);
+        const values = args.map(arg => arg.value);
+        const length = args[0].length;
+        if (token.value === 'min') return { value: Math.min(...values), length };
+        if (token.value === 'max') return { value: Math.max(...values), length };
+        if (token.value === 'clamp') return { value: Math.max(values[0], Math.min(values[1], values[2])), length };
+        return args[0];
     }
 
-    const cleanExpr = preprocess(calcString);
-    return safeEval(cleanExpr);
+    function resolveUnit(token) {
+        const { value, unit } = token;
+        if (!unit) return { value, length: false };
+        if (unit === '%') return { value: value / 100 * context.percentBasis, length: true };
+        if (unit in ABSOLUTE_UNITS) return { value: value * ABSOLUTE_UNITS[unit], length: true };
+        const viewport = context.viewport();
+        switch (unit) {
+            case 'em': return { value: value * context.fontSize(), length: true };
+            case 'rem': return { value: value * context.rootFontSize(), length: true };
+            // ex and ch have no exact value without font metrics, half an em is the CSS fallback
+            case 'ex':
+            case 'ch': return { value: value * context.fontSize() / 2, length: true };
+            case 'vw': case 'svw': case 'lvw': case 'dvw':
+                return { value: value / 100 * viewport.width, length: true };
+            case 'vh': case 'svh': case 'lvh': case 'dvh':
+                return { value: value / 100 * viewport.height, length: true };
+            case 'vmin': return { value: value / 100 * Math.min(viewport.width, viewport.height), length: true };
+            case 'vmax': return { value: value / 100 * Math.max(viewport.width, viewport.height), length: true };
+            default: throw fail(`Unknown unit "${unit}"`, token);
+        }
+    }
+
+    if (tokens.length === 0) throw new CalcError('Empty value', input);
+    const result = sum();
+    if (index < tokens.length) throw fail(`Unexpected "${peek().type === 'number' ? peek().value + peek().unit : peek().value || peek().type}"`);
+    return result;
 }
-export { parseCalcRelative };
+
+// Resolves a CSS length to px. Percentages use the width or height depending
+// on `direction` (0 = horizontal, 1 = vertical), unless `percentBasis` (in px)
+// is given. An empty value is 0, invalid values throw a CalcError.
+function parseCalcRelative(calcString, element, direction = 0, percentBasis) {
+    const input = String(calcString === undefined || calcString === null ? '' : calcString).trim();
+    if (!input) return 0;
+    const rect = element.getBoundingClientRect();
+    const context = {
+        width: rect.width,
+        height: rect.height,
+        percentBasis: percentBasis !== undefined ? percentBasis : (direction === 0 ? rect.width : rect.height),
+        fontSize: () => parseFloat(window.getComputedStyle(element).fontSize) || 16,
+        rootFontSize: () => parseFloat(window.getComputedStyle(document.documentElement).fontSize) || 16,
+        viewport: () => ({ width: window.innerWidth, height: window.innerHeight })
+    };
+    const result = evaluate(input, context);
+    // A bare 0 is a valid length, other plain numbers are not
+    if (!result.length && result.value !== 0) throw new CalcError('Expected a length', input);
+    return result.value;
+}
+
+// Splits a CSS value on a separator, ignoring separators inside parentheses
+function splitTopLevel(str, separator = ",") {
+    const parts = [];
+    let depth = 0;
+    let current = "";
+    for (const char of str) {
+        if (char === "(") depth++;
+        else if (char === ")") depth = Math.max(0, depth - 1);
+        const isSeparator = separator === " " ? /\s/.test(char) : char === separator;
+        if (isSeparator && depth === 0) {
+            if (current.trim()) parts.push(current.trim());
+            current = "";
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+export { parseCalcRelative, splitTopLevel, CalcError };
 export default parseCalcRelative;
-// Example usage
-// const element = document.querySelector('.my-element');
-// const calcString = 'calc(50% + 20px)';
-// const result = parseCalcRelative(calcString, element);
-// debug.log(result); // Outputs the calculated value based on the element's dimensions
-// Note: This function assumes that the element is already in the DOM and has dimensions.
-// It also assumes that the calcString is a valid CSS calc() expression :)
@@ -0,0 +1,232 @@
+// Renderer for when the backdrop is a known image, video or canvas
+// (--variablur-background). Each layer draws the part of that source behind
+// the element into a <canvas> and blurs it with a plain CSS filter, so the
+// effect works without backdrop-filter and glass url() filters work outside
+// Chromium. The source is assumed to fill its box (object-fit: fill).
+
+import filterConverter from './filter.js';
+import { ensureLayers, removeLayers, topLayer, setLayerStyle } from './layers.js';
+import { supportsMaskImage } from './support.js';
+import { requestFrame, measure, mutate } from './scheduler.js';
+import { warnInvalid } from './warnings.js';
+
+// Events after which a source has something new to draw
+const SOURCE_EVENTS = ['load', 'loadeddata', 'play', 'seeked'];
+
+// el -> { container, source, pad, filterId, unwatch }
+const states = new WeakMap();
+const rendered = new Set();
+let redrawScheduled = false;
+let listening = false;
+
+// The element named by `background`: a selector, or the element itself from JS
+function backgroundSource(config) {
+    const value = config.background;
+    if (!value || value === 'none') return null;
+    let source = value;
+    if (typeof value === 'string') {
+        try {
+            source = document.querySelector(value);
+        } catch (error) {
+            return null;
+        }
+    }
+    return source && /^(IMG|VIDEO|CANVAS)$/.test(source.nodeName) ? source : null;
+}
+
+function sourceSize(source) {
+    if (source.nodeName === 'IMG') return [source.naturalWidth, source.naturalHeight];
+    if (source.nodeName === 'VIDEO') return [source.videoWidth, source.videoHeight];
+    return [source.width, source.height];
+}
+
+// Canvases and playing videos change without telling anyone
+function isLive(source) {
+    if (source.nodeName === 'CANVAS') return true;
+    return source.nodeName === 'VIDEO' && !source.paused && !source.ended;
+}
+
+// A backdrop-filter layer blurs what the layers below it already blurred,
+// but a snapshot only sees the source, so each one gets the blur of its own
+// layer and every layer below (blurs add up as the root of the sum of squares)
+function snapshotFilters(styles) {
+    let squares = 0;
+    let unit = 'px';
+    return styles.map(style => {
+        const others = [];
+        filterConverter.fromString(style.backdropFilter).forEach(([name, value, valueUnit]) => {
+            if (name !== 'blur') {
+                others.push([name, value, valueUnit]);
+                return;
+            }
+            squares += (value || 0) * (value || 0);
+            unit = valueUnit || unit;
+        });
+        const blur = Math.sqrt(squares);
+        return { blur, filter: filterConverter.toString([['blur', blur, unit], ...others]) };
+    });
+}
+
+function createSnapshot(layer) {
+    const canvas = document.createElement('canvas');
+    canvas.classList.add('backdrop-snapshot');
+    canvas.style.position = 'absolute';
+    // Until its first paint, so an empty snapshot is never shown
+    canvas.style.visibility = 'hidden';
+    // Drawn over the snapshot, like a background over a backdrop-filter
+    const tint = document.createElement('div');
+    tint.classList.add('backdrop-tint');
+    Object.assign(tint.style, { position: 'absolute', top: '0', left: '0', width: '100%', height: '100%' });
+    layer.append(canvas, tint);
+    return canvas;
+}
+
+// Where the element and its source are on the page, or null when there is
+// nothing to draw yet (not loaded, or not laid out)
+function measureSnapshot(el) {
+    const { container, source } = states.get(el);
+    const [naturalWidth, naturalHeight] = sourceSize(source);
+    const sourceRect = source.getBoundingClientRect();
+    if (!naturalWidth || !naturalHeight || !sourceRect.width || !sourceRect.height) return null;
+    return { rect: container.getBoundingClientRect(), sourceRect, naturalWidth, naturalHeight };
+}
+
+function paintSnapshot(el, geometry) {
+    const state = states.get(el);
+    if (!state || !geometry) return;
+    const { container, source, pad } = state;
+    const { rect, sourceRect, naturalWidth, naturalHeight } = geometry;
+    const scaleX = naturalWidth / sourceRect.width;
+    const scaleY = naturalHeight / sourceRect.height;
+    const ratio = Math.min(window.devicePixelRatio || 1, 2);
+    // The snapshot reaches `pad` px past the element, so blurred edges pick up
+    // the colors around it instead of fading out
+    const width = Math.max(1, Math.round((rect.width + 2 * pad) * ratio));
+    const height = Math.max(1, Math.round((rect.height + 2 * pad) * ratio));
+    container.querySelectorAll('.backdrop-snapshot').forEach(canvas => {
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(
+            source,
+            (rect.left - pad - sourceRect.left) * scaleX,
+            (rect.top - pad - sourceRect.top) * scaleY,
+            (rect.width + 2 * pad) * scaleX,
+            (rect.height + 2 * pad) * scaleY,
+            0,
+            0,
+            width,
+            height
+        );
+        if (canvas.style.visibility) canvas.style.visibility = '';
+    });
+}
+
+// Measures every snapshot before drawing any of them
+function redrawAll() {
+    redrawScheduled = false;
+    const elements = Array.from(rendered);
+    const geometries = elements.map(measureSnapshot);
+    mutate(() => elements.forEach((el, i) => paintSnapshot(el, geometries[i])));
+    if (elements.some(el => isLive(states.get(el).source))) requestFrame(scheduleRedraw);
+}
+
+function scheduleRedraw() {
+    if (redrawScheduled) return;
+    redrawScheduled = true;
+    measure(redrawAll);
+}
+
+// Snapshots move with the page, so any scroll or resize redraws them
+function startListening() {
+    if (listening) return;
+    listening = true;
+    window.addEventListener('scroll', scheduleRedraw, { capture: true, passive: true });
+    window.addEventListener('resize', scheduleRedraw, { passive: true });
+}
+
+function stopListening() {
+    if (!listening) return;
+    listening = false;
+    window.removeEventListener('scroll', scheduleRedraw, { capture: true });
+    window.removeEventListener('resize', scheduleRedraw);
+}
+
+function watchSource(source) {
+    SOURCE_EVENTS.forEach(type => source.addEventListener(type, scheduleRedraw));
+    return () => SOURCE_EVENTS.forEach(type => source.removeEventListener(type, scheduleRedraw));
+}
+
+const canvasRenderer = {
+    name: 'canvas',
+    supports(el, config) {
+        return this.unsupported(el, config).length === 0;
+    },
+    unsupported(el, config) {
+        const missing = [];
+        if (!backgroundSource(config)) missing.push('background');
+        if (!supportsMaskImage()) missing.push('mask-image');
+        return missing;
+    },
+    render(el, container, styles, config) {
+        const source = backgroundSource(config);
+        if (!source) {
+            // Only happens when --variablur-renderer asks for this renderer
+            warnInvalid(el, '--variablur-background', 'the canvas renderer needs an image, video or canvas');
+            if (states.has(el)) this.destroy(el, container);
+            return;
+        }
+        let state = states.get(el);
+        if (!state) {
+            state = { source: null, filterId: null, unwatch: null };
+            states.set(el, state);
+        }
+        if (state.source !== source) {
+            if (state.unwatch) state.unwatch();
+            state.unwatch = watchSource(source);
+        }
+        const filters = snapshotFilters(styles);
+        Object.assign(state, { container, source, pad: Math.ceil(2 * Math.max(0, ...filters.map(({ blur }) => blur))) });
+        rendered.add(el);
+        startListening();
+        const layers = ensureLayers(container, styles.length);
+        layers.forEach((layer, i) => {
+            const style = styles[i];
+            setLayerStyle(layer, 'overflow', 'hidden');
+            setLayerStyle(layer, 'mask-image', style.maskImage);
+            setLayerStyle(layer, '-webkit-mask-image', style.maskImage);
+            setLayerStyle(layer, 'filter', i === layers.length - 1 && state.filterId ? `url(#${state.filterId})` : '');
+            const canvas = layer.querySelector('.backdrop-snapshot') || createSnapshot(layer);
+            setLayerStyle(canvas, 'top', `-${state.pad}px`);
+            setLayerStyle(canvas, 'left', `-${state.pad}px`);
+            setLayerStyle(canvas, 'width', `calc(100% + ${2 * state.pad}px)`);
+            setLayerStyle(canvas, 'height', `calc(100% + ${2 * state.pad}px)`);
+            setLayerStyle(canvas, 'filter', filters[i].filter);
+            setLayerStyle(layer.querySelector('.backdrop-tint'), 'background-color', style.backgroundColor);
+        });
+        // Drawn with the other snapshots: all of them are measured in the
+        // next frame's read step and painted in its write step
+        scheduleRedraw();
+    },
+    // The glass filter goes on the top layer rather than its snapshot, which
+    // reaches past the element, so the displacement map lines up with it
+    applyGlass(el, container, filterId) {
+        const state = states.get(el);
+        if (state) state.filterId = filterId;
+        const layer = topLayer(container);
+        if (layer) setLayerStyle(layer, 'filter', filterId ? `url(#${filterId})` : '');
+    },
+    destroy(el, container) {
+        const state = states.get(el);
+        if (state && state.unwatch) state.unwatch();
+        states.delete(el);
+        rendered.delete(el);
+        if (!rendered.size) stopListening();
+        removeLayers(container);
+    }
+};
+
+export default canvasRenderer;
+export { canvasRenderer, backgroundSource, snapshotFilters };
@@ -0,0 +1,92 @@
+// CSS color parsing for interpolation.
+// Colors are [r, g, b, a] with r/g/b in 0-255 and a in 0-1.
+
+let probe = null;
+
+function clampChannel(v) {
+    return Math.max(0, Math.min(255, v));
+}
+
+function parseChannel(value, max) {
+    return value.endsWith('%') ? parseFloat(value) / 100 * max : parseFloat(value);
+}
+
+function parseAlpha(value) {
+    if (value === undefined) return 1;
+    return Math.max(0, Math.min(1, parseChannel(value, 1)));
+}
+
+function hslToRgb(h, s, l) {
+    const k = n => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+function parseHex(hex) {
+    if (![3, 4, 6, 8].includes(hex.length) || !/^[0-9a-f]+$/i.test(hex)) return null;
+    const short = hex.length <= 4;
+    const parts = short
+        ? hex.split('').map(c => parseInt(c + c, 16))
+        : hex.match(/../g).map(c => parseInt(c, 16));
+    return [parts[0], parts[1], parts[2], parts.length === 4 ? parts[3] / 255 : 1];
+}
+
+// Lets the browser normalize colors we don't parse ourselves (named colors, lab(), ...)
+function normalizeWithCanvas(str) {
+    if (typeof document === 'undefined') return null;
+    if (!probe) {
+        const canvas = document.createElement('canvas');
+        probe = canvas.getContext && canvas.getContext('2d');
+        if (!probe) return null;
+    }
+    // An invalid color leaves the previous value, so try from two different ones
+    probe.fillStyle = '#000';
+    probe.fillStyle = str;
+    const normalized = probe.fillStyle;
+    probe.fillStyle = '#fff';
+    probe.fillStyle = str;
+    return normalized === probe.fillStyle ? normalized : null;
+}
+
+// Returns [r, g, b, a], or null if the value isn't a color we can read
+function parseColor(value) {
+    const str = String(value || '').trim().toLowerCase();
+    if (!str) return null;
+    if (str === 'transparent') return [0, 0, 0, 0];
+    if (str.startsWith('#')) return parseHex(str.slice(1));
+    const fn = /^(rgba?|hsla?)\((.*)\)$/.exec(str);
+    if (fn) {
+        // Both rgb(1, 2, 3, .5) and rgb(1 2 3 / .5)
+        const parts = fn[2].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+        if (parts.length < 3 || parts.length > 4) return null;
+        if (fn[1].startsWith('rgb')) {
+            const [r, g, b] = parts.slice(0, 3).map(part => clampChannel(parseChannel(part, 255)));
+            if ([r, g, b].some(isNaN)) return null;
+            return [r, g, b, parseAlpha(parts[3])];
+        }
+        const h = parseFloat(parts[0]) * (parts[0].endsWith('turn') ? 360 : parts[0].endsWith('rad') ? 180 / Math.PI : 1);
+        const s = parseFloat(parts[1]) / 100;
+        const l = parseFloat(parts[2]) / 100;
+        if ([h, s, l].some(isNaN)) return null;
+        return [...hslToRgb(((h % 360) + 360) % 360, s, l), parseAlpha(parts[3])];
+    }
+    const normalized = normalizeWithCanvas(str);
+    return normalized ? parseColor(normalized) : null;
+}
+
+function formatColor([r, g, b, a]) {
+    return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${Number(a.toFixed(4))})`;
+}
+
+// Interpolates in premultiplied alpha like CSS does, so fading from
+// `transparent` doesn't pass through black
+function mixColors(from, to, t) {
+    const a = from[3] + (to[3] - from[3]) * t;
+    if (a === 0) return [0, 0, 0, 0];
+    const channel = i => (from[i] * from[3] + (to[i] * to[3] - from[i] * from[3]) * t) / a;
+    return [channel(0), channel(1), channel(2), a];
+}
+
+export { parseColor, formatColor, mixColors };
+export default parseColor;
@@ -0,0 +1,1412 @@
+// variablur: Variable blur and filter utility for web overlays
+// (c) 2025 berkaytumal. MIT License.
+//
+// The core has no side effects: nothing runs or touches `window` until one of
+// its functions is called, so it can be imported during server rendering.
+// src/variablur.js is the browser build that attaches automatically.
+
+import debug from "./debug.js";
+import parseCalcRelative, { splitTopLevel, CalcError } from './calc.js';
+import parseEasing from './easing.js';
+import filterConverter from './filter.js';
+import { calcBlurPerLayer, exponentialBlurLayers, easedBlurLayers } from './blur.js';
+import { interpolateConfig, parseTransition } from './animate.js';
+import { calculateMask, calculateTopMask, resolveRamps, isDirection, oppositeDirection, parseAngle } from './mask.js';
+import { readGlassShape } from './shape.js';
+import { calculateRefractionMap } from './refraction.js';
+import { acquireRefractionMap, commitRefractionMap, releaseRefractionMap, refractionMapKey } from './maps.js';
+import { getLayers } from './layers.js';
+import { support } from './support.js';
+import { parseFallback, applyFallback } from './fallback.js';
+import { prefers, opaqueColor, watchPreferences } from './preferences.js';
+import { on, off, emit } from './events.js';
+import { warnInvalid } from './warnings.js';
+import { requestFrame, cancelFrame, measure, mutate, profile, profiling, reportProfile } from './scheduler.js';
+import domRenderer from './dom-renderer.js';
+import canvasRenderer from './canvas-renderer.js';
+import { parseScrollSettings, findScrollSource, resolveRange, maxScroll, scrollAmount, scrollPosition, scrolledConfig, listenToScroll, supportsScrollTimeline, createScrollTimeline } from './scroll.js';
+
+const CSS_VARIABLES = [
+    '--variablur-filter',
+    '--variablur-direction',
+    '--variablur-offset',
+    '--variablur-layers',
+    '--variablur-color',
+    '--variablur-glass-refraction',
+    '--variablur-glass-offset',
+    '--variablur-glass-thickness',
+    '--variablur-glass-profile',
+    '--variablur-glass-dispersion',
+    '--variablur-glass-light-angle',
+    '--variablur-glass-light-intensity',
+    '--variablur-glass-rim-width',
+    '--variablur-easing',
+    '--variablur-center',
+    '--variablur-radius',
+    '--variablur-transition',
+    '--variablur-scroll-source',
+    '--variablur-scroll-range',
+    '--variablur-scroll-output',
+    '--variablur-scroll-target',
+    '--variablur-renderer',
+    '--variablur-background',
+    '--variablur-fallback',
+    '--variablur-reduced-transparency',
+    '--variablur-reduced-motion',
+    '--variablur-forced-colors'
+];
+
+// Settings for the effect, which can be set on a wrapper for everything in it,
+// so they don't make an element use variablur on their own
+const SETTING_VARIABLES = [
+    '--variablur-easing',
+    '--variablur-transition',
+    '--variablur-renderer',
+    '--variablur-background',
+    '--variablur-fallback',
+    '--variablur-reduced-transparency',
+    '--variablur-reduced-motion',
+    '--variablur-forced-colors'
+];
+// The variables that attach an element when set on it
+const EFFECT_VARIABLES = CSS_VARIABLES.filter(variable => !SETTING_VARIABLES.includes(variable));
+
+// JS option names and the CSS variables they override
+const OPTION_VARIABLES = {
+    filter: '--variablur-filter',
+    direction: '--variablur-direction',
+    offset: '--variablur-offset',
+    layers: '--variablur-layers',
+    color: '--variablur-color',
+    glassRefraction: '--variablur-glass-refraction',
+    glassOffset: '--variablur-glass-offset',
+    glassThickness: '--variablur-glass-thickness',
+    glassProfile: '--variablur-glass-profile',
+    glassDispersion: '--variablur-glass-dispersion',
+    glassLightAngle: '--variablur-glass-light-angle',
+    glassLightIntensity: '--variablur-glass-light-intensity',
+    glassRimWidth: '--variablur-glass-rim-width',
+    easing: '--variablur-easing',
+    center: '--variablur-center',
+    radius: '--variablur-radius',
+    transition: '--variablur-transition',
+    scrollSource: '--variablur-scroll-source',
+    scrollRange: '--variablur-scroll-range',
+    scrollOutput: '--variablur-scroll-output',
+    scrollTarget: '--variablur-scroll-target',
+    renderer: '--variablur-renderer',
+    background: '--variablur-background',
+    fallback: '--variablur-fallback',
+    reducedTransparency: '--variablur-reduced-transparency',
+    reducedMotion: '--variablur-reduced-motion',
+    forcedColors: '--variablur-forced-colors'
+};
+
+// --- State ---
+
+const attachedElements = new WeakSet();
+const attachedElementsList = new Set();
+const resizeObservers = new WeakMap();
+const lastCSSVars = new WeakMap();
+
+// Glass filters: pending re-renders, the size of the current map, the
+// backdrop-filter of the top layer the glass filter is added to, the latest
+// render of each element and the glassReady() promises waiting for it
+const glassTimers = new WeakMap();
+const glassSizes = new WeakMap();
+const glassBaseFilters = new WeakMap();
+const glassGenerations = new WeakMap();
+const glassWaiters = new WeakMap();
+const GLASS_RESIZE_DELAY = 150;
+
+let pollingActive = false;
+let pollingHandle = null;
+
+// Per-element polling
+const elementPollingHandles = new WeakMap();
+let globalPollingActive = false;
+
+// Event-driven change detection
+const POLL_ATTRIBUTE = 'data-variablur-poll';
+// Set to the missing features while an element is rendered with a fallback
+const FALLBACK_ATTRIBUTE = 'data-variablur-fallback';
+const ANIMATION_START_EVENTS = ['transitionrun', 'animationstart'];
+const ANIMATION_END_EVENTS = ['transitionend', 'transitioncancel', 'animationend', 'animationcancel'];
+let observing = false;
+let mutationObserver = null;
+const pendingChecks = new Set();
+let pendingCheckHandle = null;
+const runningAnimations = new Map();
+
+// Per-instance configuration
+const elementOptions = new WeakMap();
+const instances = new WeakMap();
+
+// Transitions
+const animatedConfigs = new WeakMap();
+const renderedConfigs = new WeakMap();
+// What was last rendered, after fallbacks and preferences; sent with events
+const resolvedConfigs = new WeakMap();
+const runningTweens = new WeakMap();
+
+// Automatic attach/detach
+const autoAttached = new WeakSet();
+const pendingScans = new Map();
+// Roots of attribute changes, where only the elements that rules with the
+// effect variables match are scanned, see scanCandidates()
+const pendingCandidateScans = new Set();
+// Selector for those elements, null if a stylesheet can't be read, undefined until built
+let candidateSelector;
+let pendingRemovals = false;
+
+// Scroll-linked blur
+const scrollLinks = new WeakMap();
+
+// Elements waiting for the next frame's update, see scheduleUpdate()
+const pendingUpdates = new Set();
+
+// Renderers, most preferred first, and the one drawing each element
+const renderers = [domRenderer, canvasRenderer];
+const elementRenderers = new WeakMap();
+
+// Media query listeners, while any element is attached
+let stopWatchingPreferences = null;
+
+// Elements that keep their backdrop container in their own shadow root
+// instead of among their children, see src/elements.js
+const shadowHosts = new WeakSet();
+
+// --- Core Functions ---
+
+function hasAnyVariablurCSS(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return false;
+    const style = window.getComputedStyle(node);
+    return EFFECT_VARIABLES.some(variable => {
+        const val = style.getPropertyValue(variable).trim();
+        if (!val) return false;
+        let parent = node.parentElement;
+        while (parent) {
+            const parentVal = window.getComputedStyle(parent).getPropertyValue(variable).trim();
+            if (parentVal === val) return false; // Inherited, not set here
+            if (parentVal) break;
+            parent = parent.parentElement;
+        }
+        return true;
+    });
+}
+
+function attach(el, options) {
+    const attached = attachedElements.has(el);
+    if (options) setOptions(el, options);
+    attachElement(el, false);
+    // Already attached (e.g. because of its CSS): apply the options like set()
+    if (attached && options) applyChange(el);
+    return getInstance(el);
+}
+
+// `auto` marks elements attached because of their CSS, which are detached
+// again when they stop using the variablur variables
+function attachElement(el, auto) {
+    if (auto) {
+        if (!attachedElements.has(el)) autoAttached.add(el);
+    } else {
+        autoAttached.delete(el);
+    }
+    if (!attachedElements.has(el)) {
+        debug.log('Attaching element:', el);
+        attachedElements.add(el);
+        attachedElementsList.add(el);
+        if (!stopWatchingPreferences) stopWatchingPreferences = watchPreferences(handlePreferenceChange);
+        lastCSSVars.set(el, readCSSVariables(el));
+        // The first render is announced as `attach` instead of `update`
+        renderUpdate(el, measureUpdate(el), 'attach');
+        const ro = new ResizeObserver(() => scheduleUpdate(el));
+        ro.observe(el);
+        resizeObservers.set(el, ro);
+        if (el.hasAttribute(POLL_ATTRIBUTE)) startElementPolling(el);
+    }
+    // Always check children, even if el was already attached
+    el.querySelectorAll('*').forEach(child => {
+        if (!isVariablurNode(child) && !attachedElements.has(child) && hasAnyVariablurCSS(child)) {
+            attachElement(child, true);
+        }
+    });
+}
+
+function detach(el) {
+    if (attachedElements.has(el)) {
+        debug.log('Detaching element:', el);
+        attachedElements.delete(el);
+        attachedElementsList.delete(el);
+        autoAttached.delete(el);
+        lastCSSVars.delete(el);
+        pendingChecks.delete(el);
+        pendingUpdates.delete(el);
+        cancelTween(el);
+        animatedConfigs.delete(el);
+        renderedConfigs.delete(el);
+        const config = resolvedConfigs.get(el);
+        resolvedConfigs.delete(el);
+        unlinkScroll(el);
+
+        // Clean up backdrop container and SVG filters
+        const backdropContainer = containerParent(el).querySelector('.backdrop-container');
+        if (backdropContainer) {
+            clearRender(el, backdropContainer);
+            backdropContainer.remove();
+        }
+
+        const ro = resizeObservers.get(el);
+        if (ro) {
+            ro.disconnect();
+            resizeObservers.delete(el);
+        }
+        stopElementPolling(el);
+        if (!attachedElementsList.size && stopWatchingPreferences) {
+            stopWatchingPreferences();
+            stopWatchingPreferences = null;
+        }
+        emit(el, 'detach', { config });
+    }
+}
+
+// Where the backdrop container of an element goes
+function containerParent(el) {
+    return shadowHosts.has(el) && el.shadowRoot ? el.shadowRoot : el;
+}
+
+// Makes the element render into its (open) shadow root, which needs a <slot>
+// for the element's children to stay visible. Call before attaching.
+function renderIntoShadowRoot(el) {
+    if (!el.shadowRoot) throw new Error('renderIntoShadowRoot() needs an element with an open shadow root');
+    shadowHosts.add(el);
+}
+
+// Removes everything update() rendered into the container
+function clearRender(el, container) {
+    unlinkScroll(el);
+    removeGlass(el, container);
+    const renderer = elementRenderers.get(el);
+    if (renderer) renderer.destroy(el, container);
+    elementRenderers.delete(el);
+    el.removeAttribute(FALLBACK_ATTRIBUTE);
+}
+
+// Media queries only change for the whole page, so every element is updated
+function handlePreferenceChange() {
+    attachedElementsList.forEach(el => {
+        if (prefers('reducedMotion', readConfig(el, false))) {
+            cancelTween(el);
+            animatedConfigs.delete(el);
+        }
+        scheduleUpdate(el);
+    });
+}
+
+// Invalid lengths are reported (once per value, see warnings.js) and
+// replaced with 0, so one bad value doesn't turn every mask stop into NaN
+function validLength(value, el, name) {
+    try {
+        parseCalcRelative(value, el);
+        return value;
+    } catch (error) {
+        warnInvalid(el, name, error.message);
+        return "0";
+    }
+}
+
+// Renders the element right away. ResizeObserver, scroll, transition and
+// polling updates go through scheduleUpdate() instead.
+function update(el) {
+    renderUpdate(el, measureUpdate(el));
+}
+
+// Updates the element in the next frame, together with every other element
+// updated in it: all of them are read first, then all of them are written
+function scheduleUpdate(el) {
+    if (pendingUpdates.has(el)) return;
+    pendingUpdates.add(el);
+    measure(() => {
+        pendingUpdates.delete(el);
+        if (!attachedElements.has(el)) return;
+        const frame = measureUpdate(el);
+        mutate(() => {
+            if (attachedElements.has(el)) renderUpdate(el, frame);
+        });
+    });
+}
+
+// Everything an update reads from the page, without writing to it. The
+// styles are read once, for both the position and the variables.
+function measureUpdate(el) {
+    const started = profiling() ? performance.now() : null;
+    const style = window.getComputedStyle(el);
+    const config = readConfig(el, true, style);
+    const frame = { config, isStatic: style.position === 'static', renderer: null };
+    // Forced colors replace the colors of the page, and a half-transparent
+    // overlay would only get in the way
+    if (!prefers('forcedColors', config)) {
+        const renderer = selectRenderer(el, config);
+        const missing = missingFeatures(renderer, el, config);
+        let effective = degrade(el, config, missing);
+        if (prefers('reducedTransparency', config)) effective = Object.assign({}, effective, { color: opaqueColor(effective) });
+        if (prefers('reducedMotion', config)) unlinkScroll(el);
+        else syncScrollLink(el, effective, renderer);
+        Object.assign(frame, {
+            renderer,
+            missing,
+            effective,
+            styles: computeLayers(el, applyScroll(el, effective)),
+            scrollKeyframes: scrollKeyframes(el, effective),
+            size: effective.glassRefraction ? { width: el.offsetWidth, height: el.offsetHeight } : null
+        });
+    }
+    if (started !== null) frame.readTime = performance.now() - started;
+    return frame;
+}
+
+// Writes what measureUpdate() found, then dispatches `event`
+function renderUpdate(el, frame, event = 'update') {
+    const started = profiling() ? performance.now() : null;
+    let variablurContainer = containerParent(el).querySelector('.backdrop-container');
+    if (frame.isStatic) {
+        debug.warn('Element has static position:', el);
+        el.style.position = 'relative';
+    }
+    if (!variablurContainer) {
+        if (!containerParent(el).querySelector('.backdrop-container')) {
+            debug.log('No backdrop container found for element:', el, 'creating one.');
+            variablurContainer = document.createElement('div');
+            variablurContainer.classList.add('backdrop-container');
+            Object.assign(variablurContainer.style, {
+                position: 'absolute',
+                top: '0',
+                left: '0',
+                width: '100%',
+                height: '100%',
+                pointerEvents: 'none',
+                zIndex: '-1',
+                overflow: 'hidden'
+            });
+            containerParent(el).appendChild(variablurContainer);
+            debug.log('Backdrop container created:', variablurContainer);
+        }
+    }
+    renderedConfigs.set(el, frame.config);
+    const { renderer, effective, styles } = frame;
+    if (!renderer) {
+        clearRender(el, variablurContainer);
+    } else {
+        const previousRenderer = elementRenderers.get(el);
+        if (previousRenderer && previousRenderer !== renderer) {
+            debug.log('Switching renderer:', previousRenderer.name, '->', renderer.name, el);
+            previousRenderer.destroy(el, variablurContainer);
+        }
+        elementRenderers.set(el, renderer);
+        markFallback(el, frame.missing);
+        renderer.render(el, variablurContainer, styles, effective);
+        animateScrollLink(el, frame.scrollKeyframes, getLayers(variablurContainer));
+
+        // Glass refraction effect using SVG filter, on the top layer
+        if (effective.glassRefraction) {
+            glassBaseFilters.set(el, styles[styles.length - 1].backdropFilter);
+            // Keep showing the current filter until the new one is ready
+            const existingFilter = variablurContainer.querySelector('svg[data-variablur-svg] filter');
+            if (existingFilter) renderer.applyGlass(el, variablurContainer, existingFilter.id, glassBaseFilters.get(el));
+            scheduleGlass(el, effective, variablurContainer, frame.size);
+        } else {
+            removeGlass(el, variablurContainer);
+        }
+    }
+    const config = effective || frame.config;
+    resolvedConfigs.set(el, config);
+    if (started !== null) {
+        reportProfile({
+            element: el,
+            renderer: renderer ? renderer.name : null,
+            layers: styles ? styles.length : 0,
+            read: frame.readTime || 0,
+            write: performance.now() - started
+        });
+    }
+    emit(el, event, { config });
+}
+
+// Styles of each layer for a configuration: the blur layers, then the top
+// layer for brightness/contrast/etc. and the color. Doesn't touch the DOM.
+function computeLayers(el, config) {
+    let filter = [];
+    try {
+        filter = filterConverter.normalize(filterConverter.fromString(config.filter));
+    } catch (error) {
+        warnInvalid(el, '--variablur-filter', error.message);
+    }
+    // One offset per direction: `40px / 60px`
+    const offsets = splitTopLevel(config.offset || "", "/").map(value => validLength(value, el, '--variablur-offset'));
+    let direction = isDirection(config.direction) ? config.direction : "bottom";
+    // A single linear direction with two offsets is a band blurred at both ends
+    if (offsets.length === 2 && !direction.includes(",") && oppositeDirection(direction)) {
+        direction = `${direction}, ${oppositeDirection(direction)}`;
+    }
+    let shape = { center: config.center, radius: config.radius };
+    try {
+        resolveRamps(direction, el, shape);
+    } catch (error) {
+        warnInvalid(el, '--variablur-center or --variablur-radius', error.message);
+        shape = {};
+    }
+    // Percentages resolve against the full length of each gradient line
+    const offset = ramp => parseCalcRelative(offsets[Math.min(ramp.index, offsets.length - 1)] || "", el, ramp.axis, ramp.size / ramp.span);
+    const layers = parseInt(config.layers) || 5;
+    let easing = null;
+    try {
+        easing = parseEasing(config.easing);
+    } catch (error) {
+        warnInvalid(el, '--variablur-easing', error.message);
+    }
+
+    const styles = [];
+    for (let i = 0; i < layers; i++) {
+        // Variable blur gradient layers
+        const filterLayer = filter.map(([name, value, unit]) => {
+            if (name === "blur") {
+                const totalPx = value;
+                const blurs = easing ? easedBlurLayers(totalPx, layers, easing) : exponentialBlurLayers(totalPx, layers);
+                return [name, blurs[layers - i - 1] || 0, unit];
+            }
+            return [name, value, unit];
+        });
+        styles.push({
+            backdropFilter: filterConverter.toString(filterLayer.filter(([name]) => name === "blur")),
+            maskImage: calculateMask(i, layers + 1, direction, offset, el, true, easing, shape),
+            backgroundColor: ""
+        });
+    }
+    styles.push({
+        backdropFilter: filterConverter.toString(filter.filter(([name]) => name !== "blur")),
+        maskImage: calculateTopMask(direction, offset, el, easing, shape),
+        backgroundColor: config.color || "transparent"
+    });
+
+    if (debug.enabled) {
+        debug.log('Updating element:', el);
+        debug.log('direction:', direction);
+    }
+    return styles;
+}
+
+// --- Renderers ---
+// A renderer draws the layer styles from computeLayers() into the backdrop
+// container. Renderers are plain objects:
+//   name: used by --variablur-renderer
+//   supports(el, config): whether it can draw the element as intended in this browser
+//   unsupported(el, config): optional, the features it's missing for the element,
+//       for data-variablur-fallback (otherwise its name when supports() is false)
+//   render(el, container, styles, config): creates or updates the layers
+//   applyGlass(el, container, filterId, baseFilter): adds the glass SVG filter to the
+//       top layer (baseFilter is the top layer's own filter), or removes it when filterId is null
+//   destroy(el, container): removes everything render() added
+
+// `auto` (the default) picks the first renderer that supports the element,
+// and falls back to backdrop-filter when none does
+function selectRenderer(el, config) {
+    const name = (config.renderer || '').trim() || 'auto';
+    if (name !== 'auto') {
+        const renderer = renderers.find(r => r.name === name);
+        if (renderer) return renderer;
+        warnInvalid(el, '--variablur-renderer', `unknown renderer ${name}`);
+    }
+    return renderers.find(r => r.supports(el, config)) || domRenderer;
+}
+
+// Adds a renderer, preferred over the ones already registered. A renderer
+// with the same name replaces the old one.
+function registerRenderer(renderer) {
+    if (!renderer || !renderer.name || typeof renderer.render !== 'function') {
+        throw new Error('A renderer needs a name and a render() function');
+    }
+    const defaults = { supports: () => true, applyGlass() {}, destroy() {} };
+    const index = renderers.findIndex(r => r.name === renderer.name);
+    if (index !== -1) renderers.splice(index, 1);
+    renderers.unshift(Object.assign(defaults, renderer));
+    attachedElementsList.forEach(update);
+}
+
+// Features a renderer can't provide for an element in this browser
+function missingFeatures(renderer, el, config) {
+    if (typeof renderer.unsupported === 'function') return renderer.unsupported(el, config);
+    return renderer.supports(el, config) ? [] : [renderer.name];
+}
+
+// The configuration to render: the element's own, or its --variablur-fallback
+// when the renderer is missing something
+function degrade(el, config, missing) {
+    if (!missing.length) return config;
+    try {
+        return applyFallback(config, parseFallback(config.fallback));
+    } catch (error) {
+        warnInvalid(el, '--variablur-fallback', error.message);
+        return config;
+    }
+}
+
+// Marks the element for CSS with what's missing, or unmarks it
+function markFallback(el, missing) {
+    if (!missing.length) {
+        el.removeAttribute(FALLBACK_ATTRIBUTE);
+        return;
+    }
+    if (el.getAttribute(FALLBACK_ATTRIBUTE) !== missing.join(' ')) {
+        debug.log('Falling back, missing:', missing, el);
+        el.setAttribute(FALLBACK_ATTRIBUTE, missing.join(' '));
+    }
+}
+
+// --- Scroll-Linked Blur ---
+
+function scrollKey(config, renderer) {
+    return [config.scrollSource, config.scrollRange, config.scrollOutput, config.scrollTarget, !!config.glassRefraction, renderer.name].join('|');
+}
+
+function unlinkScroll(el) {
+    const link = scrollLinks.get(el);
+    if (!link) return;
+    if (link.stop) link.stop();
+    link.animations.forEach(animation => animation.cancel());
+    scrollLinks.delete(el);
+}
+
+// Connects the element to its scroll source, or reconnects it when the
+// scroll settings change
+function syncScrollLink(el, config, renderer) {
+    const key = scrollKey(config, renderer);
+    const current = scrollLinks.get(el);
+    if (current && current.key === key) return;
+    unlinkScroll(el);
+    let settings = null;
+    let source = null;
+    try {
+        settings = parseScrollSettings(config);
+        if (!settings) return;
+        source = findScrollSource(el, settings);
+        resolveRange(source, settings);
+    } catch (error) {
+        warnInvalid(el, 'scroll settings', error.message);
+        return;
+    }
+    const link = { key, settings, source, timeline: null, stop: null, animations: [] };
+    // A ScrollTimeline animates filters and colors without running any script
+    // while scrolling. Offsets change the masks, glass needs its SVG filter and
+    // other renderers don't use backdrop-filter, so those are updated from
+    // scroll events instead.
+    if (supportsScrollTimeline() && renderer === domRenderer && !settings.targets.includes('offset') && !config.glassRefraction) {
+        link.timeline = createScrollTimeline(source, settings.axis);
+    } else {
+        link.stop = listenToScroll(source, () => scheduleUpdate(el));
+    }
+    scrollLinks.set(el, link);
+}
+
+// The configuration at the current scroll position. Layers driven by a
+// ScrollTimeline are rendered at full effect and animated from there.
+function applyScroll(el, config) {
+    const link = scrollLinks.get(el);
+    if (!link) return config;
+    const { source, settings } = link;
+    if (link.timeline && maxScroll(source, settings.axis) > 0) return config;
+    const amount = scrollAmount(scrollPosition(source, settings.axis), resolveRange(source, settings), settings.output);
+    return scrolledConfig(config, settings.targets, amount);
+}
+
+// Keyframes of each layer for the element's ScrollTimeline, if it has one
+function scrollKeyframes(el, config) {
+    const link = scrollLinks.get(el);
+    if (!link || !link.timeline) return null;
+    const { source, settings } = link;
+    const max = maxScroll(source, settings.axis);
+    if (max <= 0) return [];
+    // Keyframe offsets are fractions of the scrollable distance
+    const [start, end] = resolveRange(source, settings).map(px => Math.max(0, Math.min(1, px / max)));
+    const from = computeLayers(el, scrolledConfig(config, settings.targets, settings.output[0]));
+    const to = computeLayers(el, scrolledConfig(config, settings.targets, settings.output[1]));
+    const stops = start <= end ? [[start, from], [end, to]] : [[end, to], [start, from]];
+    const keyframe = (offset, style) => ({
+        offset,
+        backdropFilter: style.backdropFilter || 'none',
+        backgroundColor: style.backgroundColor || 'transparent'
+    });
+    return stops[0][1].map((style, i) => [
+        keyframe(0, stops[0][1][i]),
+        keyframe(stops[0][0], stops[0][1][i]),
+        keyframe(stops[1][0], stops[1][1][i]),
+        keyframe(1, stops[1][1][i])
+    ]);
+}
+
+function animateScrollLink(el, keyframes, layerElements) {
+    const link = scrollLinks.get(el);
+    if (!link || !link.timeline) return;
+    link.animations.forEach(animation => animation.cancel());
+    link.animations = [];
+    if (!keyframes) return;
+    link.animations = layerElements.map((layer, i) => layer.animate(keyframes[i], { timeline: link.timeline, fill: 'both' }));
+}
+
+// --- Configuration ---
+
+function optionToString(key, value) {
+    if (key === 'filter' && Array.isArray(value)) return filterConverter.toString(value);
+    if (['offset', 'glassOffset', 'glassThickness', 'glassRimWidth'].includes(key) && typeof value === 'number') return `${value}px`;
+    if (key === 'glassLightAngle' && typeof value === 'number') return `${value}deg`;
+    if (key === 'easing' && typeof value === 'function') return value;
+    if (key === 'background' && typeof Element !== 'undefined' && value instanceof Element) return value;
+    return String(value).trim();
+}
+
+function setOptions(el, options) {
+    const current = Object.assign({}, elementOptions.get(el));
+    for (const [key, value] of Object.entries(options)) {
+        if (!(key in OPTION_VARIABLES)) throw new Error(`Unknown variablur option: ${key}`);
+        // null/undefined removes the override so the CSS value applies again
+        if (value === undefined || value === null) delete current[key];
+        else current[key] = value;
+    }
+    elementOptions.set(el, current);
+}
+
+// Effective configuration as strings: JS options override CSS variables.
+// While a transition runs, its current frame is returned unless `animated` is false.
+// `style` is the element's computed style, if it was already read.
+function readConfig(el, animated = true, style) {
+    if (animated && animatedConfigs.has(el)) return animatedConfigs.get(el);
+    const vars = readCSSVariables(el, style);
+    const options = elementOptions.get(el) || {};
+    const config = {};
+    for (const [key, variable] of Object.entries(OPTION_VARIABLES)) {
+        config[key] = key in options ? optionToString(key, options[key]) : vars[variable];
+    }
+    return config;
+}
+
+class VariablurInstance {
+    constructor(el) {
+        this.element = el;
+    }
+    set(options) {
+        setOptions(this.element, options);
+        if (attachedElements.has(this.element)) applyChange(this.element);
+        return this;
+    }
+    get(key) {
+        const config = readConfig(this.element);
+        return key === undefined ? config : config[key];
+    }
+    refresh() {
+        if (attachedElements.has(this.element)) update(this.element);
+        return this;
+    }
+    animateTo(options, timing) {
+        return animateTo(this.element, options, timing);
+    }
+    glassReady() {
+        return glassReady(this.element);
+    }
+    destroy() {
+        detach(this.element);
+        elementOptions.delete(this.element);
+        instances.delete(this.element);
+    }
+}
+
+// --- Transitions ---
+
+function cancelTween(el) {
+    const tween = runningTweens.get(el);
+    if (!tween) return;
+    cancelFrame(tween.handle);
+    runningTweens.delete(el);
+    tween.resolve(false);
+}
+
+// Renders every frame from `from` to `to`. An interrupted tween keeps its
+// current frame, so the next one starts from where it was.
+// Resolves with true when finished and false when interrupted.
+function tween(el, from, to, { duration = 300, easing = 'ease' } = {}) {
+    cancelTween(el);
+    if (prefers('reducedMotion', to)) duration = 0;
+    let ease = null;
+    try {
+        ease = parseEasing(easing);
+    } catch (error) {
+        warnInvalid(el, 'transition easing', error.message);
+    }
+    if (!(duration > 0)) {
+        animatedConfigs.delete(el);
+        update(el);
+        return Promise.resolve(true);
+    }
+    return new Promise(resolve => {
+        const state = { resolve, handle: null };
+        const start = performance.now();
+        const frame = now => {
+            const t = Math.max(0, Math.min(1, (now - start) / duration));
+            if (t < 1) {
+                animatedConfigs.set(el, interpolateConfig(from, to, ease ? ease(t) : t));
+                scheduleUpdate(el);
+                state.handle = requestFrame(frame);
+            } else {
+                runningTweens.delete(el);
+                animatedConfigs.delete(el);
+                scheduleUpdate(el);
+                resolve(true);
+            }
+        };
+        runningTweens.set(el, state);
+        state.handle = requestFrame(frame);
+    });
+}
+
+// Called when the configuration may have changed: transitions to it if
+// --variablur-transition is set, updates otherwise (right away, or with the
+// rest of the frame if `scheduled`)
+function applyChange(el, scheduled = false) {
+    const target = readConfig(el, false);
+    const from = readConfig(el);
+    let transition = null;
+    try {
+        transition = parseTransition(target.transition);
+    } catch (error) {
+        warnInvalid(el, '--variablur-transition', error.message);
+    }
+    const start = animatedConfigs.has(el) ? from : renderedConfigs.get(el);
+    if (transition && start && Object.keys(target).some(key => start[key] !== target[key])) {
+        tween(el, start, target, transition);
+    } else {
+        cancelTween(el);
+        animatedConfigs.delete(el);
+        if (scheduled) scheduleUpdate(el);
+        else update(el);
+    }
+}
+
+function animateTo(el, options, timing = {}) {
+    const from = readConfig(el);
+    setOptions(el, options);
+    if (!attachedElements.has(el)) {
+        // Start from the current state instead of jumping to the target
+        animatedConfigs.set(el, from);
+        attach(el);
+    }
+    return tween(el, from, readConfig(el, false), timing);
+}
+
+function getInstance(el) {
+    let instance = instances.get(el);
+    if (!instance) {
+        instance = new VariablurInstance(el);
+        instances.set(el, instance);
+    }
+    return instance;
+}
+
+// --- Polling Mechanism ---
+
+function readCSSVariables(el, style = window.getComputedStyle(el)) {
+    const current = {};
+    for (const variable of CSS_VARIABLES) {
+        current[variable] = style.getPropertyValue(variable).trim();
+    }
+    return current;
+}
+
+// Re-read CSS_VARIABLES and update only if one of them actually changed
+function checkElement(el) {
+    if (!attachedElements.has(el)) return;
+    const prev = lastCSSVars.get(el) || {};
+    const current = readCSSVariables(el);
+    if (CSS_VARIABLES.some(variable => prev[variable] !== current[variable])) {
+        lastCSSVars.set(el, current);
+        applyChange(el, true);
+    }
+}
+
+function pollCSSVariables() {
+    attachedElementsList.forEach(checkElement);
+    if (pollingActive) {
+        pollingHandle = requestFrame(pollCSSVariables);
+    }
+}
+
+function pollElementCSSVariables(el) {
+    if (!attachedElements.has(el)) return;
+    checkElement(el);
+    if (elementPollingHandles.has(el)) {
+        const handle = requestFrame(() => pollElementCSSVariables(el));
+        elementPollingHandles.set(el, handle);
+    }
+}
+
+function startPolling() {
+    // Stop all per-element polling
+    attachedElementsList.forEach(el => {
+        const handle = elementPollingHandles.get(el);
+        if (handle) {
+            cancelFrame(handle);
+            elementPollingHandles.delete(el);
+        }
+    });
+    pollingActive = true;
+    globalPollingActive = true;
+    pollCSSVariables();
+}
+
+function stopPolling() {
+    pollingActive = false;
+    globalPollingActive = false;
+    if (pollingHandle) {
+        cancelFrame(pollingHandle);
+        pollingHandle = null;
+    }
+    // Elements that opted into polling keep their own loop
+    attachedElementsList.forEach(el => {
+        if (el.hasAttribute(POLL_ATTRIBUTE)) startElementPolling(el);
+    });
+}
+
+function startElementPolling(el) {
+    if (globalPollingActive) return; // Don't start per-element polling if global polling is active
+    if (!elementPollingHandles.has(el)) {
+        const handle = requestFrame(() => pollElementCSSVariables(el));
+        elementPollingHandles.set(el, handle);
+    }
+}
+
+function stopElementPolling(el) {
+    const handle = elementPollingHandles.get(el);
+    if (handle) {
+        cancelFrame(handle);
+        elementPollingHandles.delete(el);
+    }
+}
+
+// --- Change Detection ---
+// Instead of reading every element each frame, only re-check elements when
+// something that could affect their variables happened: an attribute change
+// on them or an ancestor, a stylesheet being added or removed, or a running
+// transition/animation on a variablur property.
+
+function isVariablurNode(node) {
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return !!(el && el.closest('.backdrop-container'));
+}
+
+function isStylesheetNode(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return false;
+    return node.nodeName === 'STYLE' || (node.nodeName === 'LINK' && /\bstylesheet\b/i.test(node.rel));
+}
+
+// Attached elements that inherit from (or are) the given node
+function affectedElements(node) {
+    const affected = [];
+    attachedElementsList.forEach(el => {
+        if (node === el || node.contains(el)) affected.push(el);
+    });
+    return affected;
+}
+
+function scheduleFlush() {
+    if (!pendingCheckHandle) {
+        pendingCheckHandle = requestFrame(flushChecks);
+    }
+}
+
+function scheduleCheck(elements) {
+    elements.forEach(el => pendingChecks.add(el));
+    if (pendingChecks.size) scheduleFlush();
+}
+
+// `deep` also scans descendants, otherwise only the root itself is looked at
+function scheduleScan(root, deep = true) {
+    pendingScans.set(root, pendingScans.get(root) || deep);
+    scheduleFlush();
+}
+
+function scheduleCandidateScan(root) {
+    pendingCandidateScans.add(root);
+    scheduleFlush();
+}
+
+function collectSelectors(rules, selectors) {
+    Array.from(rules).forEach(rule => {
+        if (rule.selectorText && rule.style && EFFECT_VARIABLES.some(variable => rule.style.getPropertyValue(variable))) {
+            try {
+                // Throws for selectors that can't match an element, like ::before
+                document.documentElement.matches(rule.selectorText);
+                selectors.push(rule.selectorText);
+            } catch (error) {
+                // Not a candidate
+            }
+        }
+        // Rules inside @media, @supports, @layer and nested rules
+        if (rule.cssRules) collectSelectors(rule.cssRules, selectors);
+    });
+}
+
+// A selector for every element that may set an effect variable: the ones
+// matched by a stylesheet rule setting one, and inline styles
+function getCandidateSelector() {
+    if (candidateSelector !== undefined) return candidateSelector;
+    const selectors = ['[style*="--variablur-"]'];
+    try {
+        Array.from(document.styleSheets).forEach(sheet => collectSelectors(sheet.cssRules, selectors));
+        candidateSelector = selectors.join(', ');
+    } catch (error) {
+        // The rules of cross-origin stylesheets can't be read
+        candidateSelector = null;
+    }
+    return candidateSelector;
+}
+
+// Scans the root and the elements in it that may have started or stopped
+// using variablur, instead of every element in it. Falls back to a full scan
+// when the stylesheets can't be read.
+function scanCandidates(root) {
+    if (!root.isConnected || isVariablurNode(root)) return;
+    const selector = getCandidateSelector();
+    if (selector === null) {
+        attachExistingElements(root);
+        return;
+    }
+    scanElement(root);
+    root.querySelectorAll(selector).forEach(el => {
+        if (!isVariablurNode(el)) scanElement(el);
+    });
+    affectedElements(root).forEach(el => {
+        if (autoAttached.has(el)) scanElement(el);
+    });
+}
+
+function attachExistingElements(root = document.body) {
+    if (!root || !root.isConnected || isVariablurNode(root)) return;
+    scanElement(root);
+    root.querySelectorAll('*').forEach(el => {
+        if (!isVariablurNode(el)) scanElement(el);
+    });
+}
+
+function scanElement(el) {
+    const uses = hasAnyVariablurCSS(el);
+    if (uses && !attachedElements.has(el)) attachElement(el, true);
+    else if (!uses && autoAttached.has(el)) detach(el);
+}
+
+function detachRemovedElements() {
+    attachedElementsList.forEach(el => {
+        if (!el.isConnected) detach(el);
+    });
+}
+
+function flushChecks() {
+    pendingCheckHandle = null;
+    if (pendingRemovals) {
+        pendingRemovals = false;
+        detachRemovedElements();
+    }
+    const scans = Array.from(pendingScans);
+    pendingScans.clear();
+    scans.forEach(([root, deep]) => {
+        // Skip roots that another deep scan already covers
+        if (scans.some(([other, otherDeep]) => otherDeep && other !== root && other.contains(root))) return;
+        if (deep) attachExistingElements(root);
+        else if (root.isConnected && !isVariablurNode(root)) scanElement(root);
+    });
+    const candidateScans = Array.from(pendingCandidateScans);
+    pendingCandidateScans.clear();
+    candidateScans.forEach(root => {
+        // Skip roots that a deep scan or another candidate scan already covers
+        if (scans.some(([other, otherDeep]) => otherDeep && other.contains(root))) return;
+        if (candidateScans.some(other => other !== root && other.contains(root))) return;
+        scanCandidates(root);
+    });
+    const elements = Array.from(pendingChecks);
+    pendingChecks.clear();
+    elements.forEach(checkElement);
+    // Keep sampling while a transition or animation is running
+    runningAnimations.forEach((count, node) => {
+        if (!node.isConnected) {
+            runningAnimations.delete(node);
+            return;
+        }
+        scheduleCheck(affectedElements(node));
+    });
+}
+
+function handleMutations(records) {
+    let stylesheetsChanged = false;
+    for (const record of records) {
+        if (isVariablurNode(record.target)) continue;
+        if (record.type === 'attributes') {
+            if (record.attributeName === POLL_ATTRIBUTE && attachedElements.has(record.target)) {
+                if (record.target.hasAttribute(POLL_ATTRIBUTE)) startElementPolling(record.target);
+                else stopElementPolling(record.target);
+                continue;
+            }
+            // Written by update() itself
+            if (record.attributeName === FALLBACK_ATTRIBUTE) continue;
+            // Any attribute but style can make descendants match new rules,
+            // through attribute selectors like [data-state], [open] or [aria-expanded]
+            if (record.attributeName === 'style') scheduleScan(record.target, false);
+            else scheduleCandidateScan(record.target);
+            scheduleCheck(affectedElements(record.target));
+        } else if (record.type === 'characterData') {
+            if (record.target.parentNode && record.target.parentNode.nodeName === 'STYLE') stylesheetsChanged = true;
+        } else if (record.type === 'childList') {
+            if (record.target.nodeName === 'STYLE') stylesheetsChanged = true;
+            const nodes = [...record.addedNodes, ...record.removedNodes];
+            if (nodes.some(isStylesheetNode)) stylesheetsChanged = true;
+            record.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE && !isVariablurNode(node)) scheduleScan(node);
+            });
+            if (record.removedNodes.length) {
+                pendingRemovals = true;
+                scheduleFlush();
+            }
+        }
+    }
+    if (stylesheetsChanged) {
+        candidateSelector = undefined;
+        scheduleScan(document.body);
+        scheduleCheck(attachedElementsList);
+    }
+}
+
+function animatesVariablur(event) {
+    if (event.type === 'transitionrun') return event.propertyName.startsWith('--variablur-');
+    // Animations don't report their properties, so look at the keyframes when possible
+    const animation = typeof event.target.getAnimations === 'function'
+        ? event.target.getAnimations().find(a => a.animationName === event.animationName)
+        : null;
+    if (animation && animation.effect && typeof animation.effect.getKeyframes === 'function') {
+        return animation.effect.getKeyframes().some(frame =>
+            Object.keys(frame).some(key => key.startsWith('--variablur-'))
+        );
+    }
+    return affectedElements(event.target).length > 0;
+}
+
+function handleAnimationStart(event) {
+    if (isVariablurNode(event.target) || !animatesVariablur(event)) return;
+    runningAnimations.set(event.target, (runningAnimations.get(event.target) || 0) + 1);
+    scheduleCheck(affectedElements(event.target));
+}
+
+function handleAnimationEnd(event) {
+    const count = runningAnimations.get(event.target);
+    if (!count) return;
+    if (count > 1) runningAnimations.set(event.target, count - 1);
+    else runningAnimations.delete(event.target);
+    // One last read to pick up the final value
+    scheduleCheck(affectedElements(event.target));
+}
+
+function handleStylesheetLoad(event) {
+    if (!isStylesheetNode(event.target)) return;
+    candidateSelector = undefined;
+    scheduleScan(document.body);
+    scheduleCheck(attachedElementsList);
+}
+
+function startObserving() {
+    if (observing) return;
+    observing = true;
+    mutationObserver = new MutationObserver(handleMutations);
+    mutationObserver.observe(document.documentElement, {
+        attributes: true,
+        childList: true,
+        characterData: true,
+        subtree: true
+    });
+    ANIMATION_START_EVENTS.forEach(type => document.addEventListener(type, handleAnimationStart, true));
+    ANIMATION_END_EVENTS.forEach(type => document.addEventListener(type, handleAnimationEnd, true));
+    document.addEventListener('load', handleStylesheetLoad, true);
+}
+
+function stopObserving() {
+    if (!observing) return;
+    observing = false;
+    mutationObserver.disconnect();
+    mutationObserver = null;
+    ANIMATION_START_EVENTS.forEach(type => document.removeEventListener(type, handleAnimationStart, true));
+    ANIMATION_END_EVENTS.forEach(type => document.removeEventListener(type, handleAnimationEnd, true));
+    document.removeEventListener('load', handleStylesheetLoad, true);
+    runningAnimations.clear();
+    pendingChecks.clear();
+    pendingScans.clear();
+    pendingRemovals = false;
+    if (pendingCheckHandle) {
+        cancelFrame(pendingCheckHandle);
+        pendingCheckHandle = null;
+    }
+}
+
+// --- Glass Refraction SVG Filter ---
+
+// Every render or removal starts a new generation, and results of older
+// generations are dropped when they arrive, so maps resolving out of order
+// can't replace a newer one
+function nextGlassGeneration(el) {
+    const generation = (glassGenerations.get(el) || 0) + 1;
+    glassGenerations.set(el, generation);
+    return generation;
+}
+
+// Resolves (or rejects) the glassReady() promises of an element
+function settleGlass(el, error, filterId) {
+    const waiters = glassWaiters.get(el) || [];
+    glassWaiters.delete(el);
+    waiters.forEach(({ resolve, reject }) => error ? reject(error) : resolve(filterId));
+}
+
+// Resolves with the ID of the element's glass filter once it is rendered and
+// applied, or with null if the element has no glass
+function glassReady(el) {
+    if (!glassWaiters.has(el)) {
+        const filter = containerParent(el).querySelector('.backdrop-container svg[data-variablur-svg] filter');
+        return Promise.resolve(filter ? filter.id : null);
+    }
+    return new Promise((resolve, reject) => glassWaiters.get(el).push({ resolve, reject }));
+}
+
+// New settings are rendered at once, size changes once resizing has settled
+// `size` is the element's current size, measured with the rest of the update
+function scheduleGlass(el, config, container, size) {
+    clearTimeout(glassTimers.get(el));
+    glassTimers.delete(el);
+    const generation = nextGlassGeneration(el);
+    if (!glassWaiters.has(el)) glassWaiters.set(el, []);
+    const previousSize = glassSizes.get(el);
+    if (previousSize && (previousSize.width !== size.width || previousSize.height !== size.height)) {
+        glassTimers.set(el, setTimeout(() => {
+            glassTimers.delete(el);
+            renderGlass(el, renderedConfigs.get(el) || config, container, generation);
+        }, GLASS_RESIZE_DELAY));
+    } else {
+        renderGlass(el, config, container, generation);
+    }
+}
+
+// The map is generated from the element's size and shape in the read step
+// of a frame, and its SVG filter is added in the write step of a later one
+function renderGlass(el, config, container, generation) {
+    measure(() => {
+        if (glassGenerations.get(el) !== generation) return;
+        glassSizes.set(el, { width: el.offsetWidth, height: el.offsetHeight });
+        createGlassSVGFilter(el, config).then(result => mutate(() => {
+            if (glassGenerations.get(el) === generation) applyGlassFilter(el, config, container, result);
+        })).catch(error => {
+            if (glassGenerations.get(el) !== generation) return;
+            // Logged in production too, next to glassReady() and the `error` event
+            console.error('variablur: error creating the glass filter:', error, el);
+            settleGlass(el, error);
+            emit(el, 'error', { config, error });
+        });
+    });
+}
+
+function applyGlassFilter(el, config, container, { svgString, filterId }) {
+    // Add SVG to backdrop container if not already present
+    if (!container.querySelector(`#${filterId}`)) {
+        debug.log('Creating glass SVG filter:', filterId);
+        const svgContainer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svgContainer.setAttribute('data-variablur-svg', 'true');
+        svgContainer.style.position = 'absolute';
+        svgContainer.style.width = '0';
+        svgContainer.style.height = '0';
+        svgContainer.style.pointerEvents = 'none';
+        svgContainer.innerHTML = svgString;
+        container.appendChild(svgContainer);
+    }
+    const renderer = elementRenderers.get(el);
+    if (renderer) renderer.applyGlass(el, container, filterId, glassBaseFilters.get(el));
+    // Previous filters go only once the layer no longer uses them. Their
+    // maps belong to the map cache, so only the SVG is removed, and the
+    // cache is told that the old map is no longer on screen.
+    container.querySelectorAll('svg[data-variablur-svg]').forEach(svg => {
+        if (!svg.querySelector(`#${filterId}`)) svg.remove();
+    });
+    commitRefractionMap(el);
+    settleGlass(el, null, filterId);
+    emit(el, 'glass-ready', { config, filterId });
+}
+
+// Removes the glass filter of an element and releases its map
+function removeGlass(el, container) {
+    clearTimeout(glassTimers.get(el));
+    glassTimers.delete(el);
+    nextGlassGeneration(el);
+    glassSizes.delete(el);
+    glassBaseFilters.delete(el);
+    releaseRefractionMap(el);
+    container.querySelectorAll('svg[data-variablur-svg]').forEach(svg => svg.remove());
+    const renderer = elementRenderers.get(el);
+    if (renderer) renderer.applyGlass(el, container, null);
+    settleGlass(el, null, null);
+}
+
+// Displaces SourceGraphic by the FEIMG map. With dispersion, each color channel
+// is displaced on its own, as if the refractive index of the glass were
+// `refraction` -/+ half the dispersion for red and blue, and recombined.
+function displacementPrimitives(refraction, dispersion, result = null) {
+    const displace = (scale, name) =>
+        `<feDisplacementMap in="SourceGraphic" in2="FEIMG" scale="${scale}" yChannelSelector="B" xChannelSelector="R"${name ? ` result="${name}"` : ''}/>`;
+    if (!(dispersion > 0) || !(refraction > 1)) return displace(127, result);
+    // Displacement grows with (index - 1)
+    const scale = index => Math.max(0, Number((127 * (index - 1) / (refraction - 1)).toFixed(2)));
+    // Keeps one color channel and alpha
+    const matrix = row => [0, 1, 2, 3].map(i => [0, 1, 2, 3, 4].map(j => i === j && (i === row || i === 3) ? 1 : 0).join(' ')).join('  ');
+    const channel = (name, index, row) => `${displace(scale(index), `${name}-displaced`)}
+        <feColorMatrix in="${name}-displaced" type="matrix" values="${matrix(row)}" result="${name}"/>`;
+    return `${channel('red', refraction - dispersion / 2, 0)}
+        ${channel('green', refraction, 1)}
+        ${channel('blue', refraction + dispersion / 2, 2)}
+        <feComposite in="red" in2="green" operator="arithmetic" k2="1" k3="1" result="red-green"/>
+        <feComposite in="red-green" in2="blue" operator="arithmetic" k2="1" k3="1"${result ? ` result="${result}"` : ''}/>`;
+}
+
+// Light settings for the rim highlight, or null when it's off
+function glassLighting(el, config, basis, offset) {
+    const intensity = parseFloat(config.glassLightIntensity);
+    if (!(intensity > 0)) return null;
+    const angle = parseAngle((config.glassLightAngle || '').trim() || '-45deg');
+    if (angle === null) warnInvalid(el, '--variablur-glass-light-angle', config.glassLightAngle);
+    const rimWidth = config.glassRimWidth ? parseCalcRelative(config.glassRimWidth, el, 0, basis) : offset;
+    return { angle: angle === null ? -45 : angle, intensity, rimWidth };
+}
+
+// A specular highlight lit from `angle` (0deg = from the top, like
+// linear-gradient), using the height map in the G channel of FEIMG, added on
+// top of the `refracted` result where the surface curves
+function lightingPrimitives({ angle, intensity, rimWidth }) {
+    return `<feColorMatrix in="FEIMG" type="matrix" values="0 0 0 0 0  0 0 0 0 0  0 0 0 0 0  0 1 0 0 0" result="height"/>
+        <feSpecularLighting in="height" surfaceScale="${rimWidth}" specularConstant="${intensity}" specularExponent="20" lighting-color="white" result="specular">
+          <feDistantLight azimuth="${angle - 90}" elevation="30"/>
+        </feSpecularLighting>
+        <feComponentTransfer in="height" result="rim">
+          <feFuncA type="table" tableValues="0 1 1 1 0"/>
+        </feComponentTransfer>
+        <feComposite in="specular" in2="rim" operator="in" result="highlight"/>
+        <feComposite in="highlight" in2="refracted" operator="arithmetic" k2="1" k3="1"/>`;
+}
+
+// Hash for filter IDs, so a new map or filter gets a new ID
+function hashString(str) {
+    let hash = 5381;
+    for (let i = 0; i < str.length; i++) {
+        hash = (hash * 33 + str.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+async function createGlassSVGFilter(el, config = readConfig(el)) {
+    const width = el ? el.offsetWidth : 100;
+    const height = el ? el.offsetHeight : 100;
+    // Get refraction and offset from element's options or CSS variables
+    const refractionValue = parseFloat(config.glassRefraction) || 0;
+    var offsetValue = config.glassOffset;
+    // Percentages are relative to the shorter side
+    offsetValue = parseCalcRelative(offsetValue, el, 0, Math.min(width, height));
+    const shape = readGlassShape(el, width, height);
+    const lens = {
+        profile: (config.glassProfile || '').trim() || 'legacy',
+        // Defaults to as thick as the bezel is wide
+        thickness: config.glassThickness ? parseCalcRelative(config.glassThickness, el, 0, Math.min(width, height)) : offsetValue
+    };
+    const lighting = glassLighting(el, config, Math.min(width, height), offsetValue);
+    if (lighting) lens.rimWidth = lighting.rimWidth;
+    const dispersion = parseFloat(config.glassDispersion) || 0;
+    const params = { refraction: refractionValue, width, height, shape, offset: offsetValue, lens };
+    // Use a stable ID based on element and settings to avoid regenerating filters unnecessarily
+    const uid = el.dataset.variablurUid ?? (el.dataset.variablurUid = crypto.randomUUID());
+    const filterId = `variablur-glass-${uid}-${hashString(`${refractionMapKey(params)}|${dispersion}|${JSON.stringify(lighting)}`)}`;
+    // The map is rendered off the main thread and shared with other elements
+    // of the same size and settings; the cache owns the blob URL
+    const dataURL = await acquireRefractionMap(el, params);
+    const svgString = `
+      <filter id="${filterId}" x="0" y="0" width="100%" height="100%" color-interpolation-filters="sRGB">
+        <feImage result="FEIMG" href="${dataURL}"/>
+        ${displacementPrimitives(refractionValue, dispersion, lighting ? 'refracted' : null)}
+        ${lighting ? lightingPrimitives(lighting) : ''}
+      </filter>
+    `;
+    return { svgString, filterId };
+}
+
+// --- Export ---
+
+const variablur = {
+    calcBlurPerLayer,
+    exponentialBlurLayers,
+    easedBlurLayers,
+    parseEasing,
+    parseCalcRelative,
+    CalcError,
+    calculateMask,
+    filterConverter,
+    CSS_VARIABLES,
+    attach,
+    detach,
+    getInstance,
+    animateTo,
+    update,
+    hasAnyVariablurCSS,
+    startPolling,
+    stopPolling,
+    startElementPolling,
+    stopElementPolling,
+    startObserving,
+    stopObserving,
+    createGlassSVGFilter,
+    glassReady,
+    registerRenderer,
+    support,
+    on,
+    off,
+    profile,
+    calculateRefractionMap
+};
+
+export default variablur;
+export {
+    calcBlurPerLayer,
+    exponentialBlurLayers,
+    easedBlurLayers,
+    parseEasing,
+    parseCalcRelative,
+    CalcError,
+    calculateMask,
+    filterConverter,
+    CSS_VARIABLES,
+    attach,
+    detach,
+    getInstance,
+    animateTo,
+    update,
+    hasAnyVariablurCSS,
+    startPolling,
+    stopPolling,
+    startElementPolling,
+    stopElementPolling,
+    startObserving,
+    stopObserving,
+    createGlassSVGFilter,
+    glassReady,
+    registerRenderer,
+    support,
+    on,
+    off,
+    profile,
+    calculateRefractionMap,
+    renderIntoShadowRoot,
+    attachExistingElements,
+    VariablurInstance
+};
@@ -1,16 +1,17 @@
-window.DEBUG = process.env.NODE_ENV == 'development';
-console.log("mode", process.env.NODE_ENV)
+// Debug output, on in development builds. Nothing is written to `window`, so
+// importing this (or the core) is safe on the server.
 
 const debug = {
-    log: window.DEBUG ? console.log : () => {},
-    warn: window.DEBUG ? console.warn : () => {},
-    error: window.DEBUG ? console.error : () => {},
-    info: window.DEBUG ? console.info : () => {}
+    enabled: process.env.NODE_ENV == 'development',
+    log: (...args) => debug.enabled && console.log(...args),
+    warn: (...args) => debug.enabled && console.warn(...args),
+    error: (...args) => debug.enabled && console.error(...args),
+    info: (...args) => debug.enabled && console.info(...args)
 }
 
 export default debug;
 export { debug };
 // Example usage
-// window.DEBUG = true; // Enable debug mode
+// debug.enabled = true; // Enable debug mode
 // debug.log('This is a log message');
 // debug.warn('This is a warning message');
@@ -0,0 +1,78 @@
+// The default renderer: one div per layer with a backdrop-filter and a
+// mask-image, so the browser blurs whatever is behind the element.
+
+import { ensureLayers, removeLayers, topLayer, setLayerStyle } from './layers.js';
+import { supportsBackdropFilter, supportsBackdropFilterUrl, supportsMaskImage } from './support.js';
+
+// container -> { baseFilter, filterId } of the glass on its top layer, which
+// render() keeps when it writes the top layer again
+const glassFilters = new WeakMap();
+
+function setBackdropFilter(layer, value) {
+    setLayerStyle(layer, 'backdrop-filter', value);
+    setLayerStyle(layer, '-webkit-backdrop-filter', value);
+}
+
+// The glass filter goes after the layer's own backdrop-filter, or on
+// `filter` when there is none
+function setFilters(layer, backdropFilter, filterId) {
+    if (!filterId) {
+        setBackdropFilter(layer, backdropFilter);
+        setLayerStyle(layer, 'filter', '');
+        return;
+    }
+    const distortionFilter = `url(#${filterId})`;
+    if (backdropFilter) {
+        setBackdropFilter(layer, `${backdropFilter} ${distortionFilter}`);
+        setLayerStyle(layer, 'filter', '');
+    } else {
+        setBackdropFilter(layer, 'blur(0px)');
+        setLayerStyle(layer, 'filter', distortionFilter);
+    }
+}
+
+const domRenderer = {
+    name: 'dom',
+    supports(el, config) {
+        return this.unsupported(el, config).length === 0;
+    },
+    // Glass needs SVG filters in backdrop-filter
+    unsupported(el, config) {
+        const missing = [];
+        if (!supportsBackdropFilter()) missing.push('backdrop-filter');
+        if (!supportsMaskImage()) missing.push('mask-image');
+        if (config.glassRefraction && !supportsBackdropFilterUrl()) missing.push('glass');
+        return missing;
+    },
+    // Only values that changed since the last render are written
+    render(el, container, styles) {
+        const glass = glassFilters.get(container);
+        const layers = ensureLayers(container, styles.length);
+        layers.forEach((layer, i) => {
+            const style = styles[i];
+            const isTop = i === layers.length - 1;
+            setFilters(layer, style.backdropFilter, isTop && glass ? glass.filterId : null);
+            setLayerStyle(layer, 'mask-image', style.maskImage);
+            setLayerStyle(layer, '-webkit-mask-image', style.maskImage);
+            setLayerStyle(layer, 'background-color', style.backgroundColor);
+        });
+        if (glass) glass.baseFilter = styles[styles.length - 1].backdropFilter;
+    },
+    // Adds the glass filter to the top layer, after its own backdrop-filter
+    applyGlass(el, container, filterId, baseFilter) {
+        const glass = glassFilters.get(container);
+        if (!filterId) glassFilters.delete(container);
+        else glassFilters.set(container, { baseFilter, filterId });
+        const layer = topLayer(container);
+        if (!layer) return;
+        if (filterId) setFilters(layer, baseFilter, filterId);
+        else if (glass) setFilters(layer, glass.baseFilter, null);
+    },
+    destroy(el, container) {
+        glassFilters.delete(container);
+        removeLayers(container);
+    }
+};
+
+export default domRenderer;
+export { domRenderer };
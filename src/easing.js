@@ -0,0 +1,152 @@
+// CSS <easing-function> parsing for the blur ramp.
+// Every easing is turned into a plain function mapping progress (0-1) to
+// output (usually 0-1), so JS callbacks and CSS strings are handled the same way.
+
+const KEYWORDS = {
+    ease: [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+const STEP_POSITIONS = ['jump-start', 'jump-end', 'jump-none', 'jump-both', 'start', 'end'];
+
+// A CSS <number>, with nothing before or after it
+const NUMBER = /^[+-]?(?:\d+|\d*\.\d+)(?:e[+-]?\d+)?$/;
+
+// The value of a CSS <number>, or NaN. Unlike parseFloat() and Number(),
+// rejects trailing text ("0.5px"), hex ("0x1") and empty arguments.
+function parseNumber(str) {
+    return NUMBER.test(str) ? Number(str) : NaN;
+}
+
+function linear(x) {
+    return x;
+}
+
+function cubicBezier(x1, y1, x2, y2) {
+    if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) throw new Error("cubic-bezier x values must be between 0 and 1");
+    const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+    const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+    const sampleX = t => ((ax * t + bx) * t + cx) * t;
+    const sampleY = t => ((ay * t + by) * t + cy) * t;
+    const slopeX = t => (3 * ax * t + 2 * bx) * t + cx;
+    function solveT(x) {
+        // Newton-Raphson first, bisection if it doesn't converge
+        let t = x;
+        for (let i = 0; i < 8; i++) {
+            const error = sampleX(t) - x;
+            if (Math.abs(error) < 1e-6) return t;
+            const slope = slopeX(t);
+            if (Math.abs(slope) < 1e-6) break;
+            t -= error / slope;
+        }
+        let lo = 0, hi = 1;
+        t = x;
+        while (lo < hi) {
+            const value = sampleX(t);
+            if (Math.abs(value - x) < 1e-6) return t;
+            if (x > value) lo = t;
+            else hi = t;
+            if (hi - lo < 1e-7) break;
+            t = (lo + hi) / 2;
+        }
+        return t;
+    }
+    return x => {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        return sampleY(solveT(x));
+    };
+}
+
+function steps(count, position = 'jump-end') {
+    if (!Number.isInteger(count) || count < 1) throw new Error("steps() count must be a positive integer");
+    if (!STEP_POSITIONS.includes(position)) throw new Error(`Unknown steps() position: ${position}`);
+    if (position === 'jump-none' && count < 2) throw new Error("steps() with jump-none needs at least 2 steps");
+    const jumps = position === 'jump-both' ? count + 1 : position === 'jump-none' ? count - 1 : count;
+    const jumpStart = position === 'jump-start' || position === 'start' || position === 'jump-both';
+    return x => {
+        let step = Math.floor(x * count);
+        if (jumpStart) step += 1;
+        if (x >= 0 && step < 0) step = 0;
+        if (x <= 1 && step > jumps) step = jumps;
+        return step / jumps;
+    };
+}
+
+// linear(0, 0.25 50%, 1) — piecewise linear easing from CSS Easing Level 2
+function linearPoints(stops) {
+    const points = [];
+    stops.forEach(stop => {
+        const parts = stop.trim().split(/\s+/);
+        const output = parseNumber(parts[0]);
+        if (isNaN(output)) throw new Error(`Invalid linear() stop: ${stop}`);
+        const inputs = parts.slice(1).map(part => {
+            const input = part.endsWith('%') ? parseNumber(part.slice(0, -1)) : NaN;
+            if (isNaN(input)) throw new Error(`Invalid linear() stop: ${stop}`);
+            return input / 100;
+        });
+        if (inputs.length === 0) points.push([output, null]);
+        inputs.forEach(input => points.push([output, input]));
+    });
+    if (points.length < 2) throw new Error("linear() needs at least two stops");
+    // Fill in missing inputs the way CSS does: ends at 0/1, the rest evenly spaced
+    if (points[0][1] === null) points[0][1] = 0;
+    if (points[points.length - 1][1] === null) points[points.length - 1][1] = 1;
+    let largest = points[0][1];
+    points.forEach(point => {
+        if (point[1] !== null) {
+            point[1] = Math.max(point[1], largest);
+            largest = point[1];
+        }
+    });
+    for (let i = 1; i < points.length; i++) {
+        if (points[i][1] !== null) continue;
+        let j = i;
+        while (points[j][1] === null) j++;
+        const from = points[i - 1][1];
+        const span = (points[j][1] - from) / (j - i + 1);
+        for (let k = i; k < j; k++) points[k][1] = from + span * (k - i + 1);
+    }
+    return x => {
+        if (x <= points[0][1]) return points[0][0];
+        for (let i = 1; i < points.length; i++) {
+            const [y0, x0] = points[i - 1];
+            const [y1, x1] = points[i];
+            if (x <= x1) return x1 === x0 ? y1 : y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+        }
+        return points[points.length - 1][0];
+    };
+}
+
+// Returns a function for the given easing, or null if no easing is set.
+// Accepts a CSS easing string or a function, throws on invalid values.
+function parseEasing(value) {
+    if (typeof value === 'function') return value;
+    if (value === undefined || value === null) return null;
+    const str = String(value).trim().toLowerCase();
+    if (!str) return null;
+    if (str === 'linear') return linear;
+    if (KEYWORDS[str]) return cubicBezier(...KEYWORDS[str]);
+    if (str === 'step-start') return steps(1, 'jump-start');
+    if (str === 'step-end') return steps(1, 'jump-end');
+    const fn = /^([a-z-]+)\((.*)\)$/.exec(str);
+    if (fn) {
+        const args = fn[2].split(',').map(arg => arg.trim());
+        const numbers = args.map(parseNumber);
+        if (fn[1] === 'cubic-bezier' && args.length === 4 && numbers.every(number => !isNaN(number))) {
+            return cubicBezier(...numbers);
+        }
+        if (fn[1] === 'steps' && (args.length === 1 || args.length === 2)) {
+            return steps(numbers[0], args[1]);
+        }
+        if (fn[1] === 'linear') {
+            return linearPoints(args);
+        }
+    }
+    throw new Error(`Invalid easing: ${value}`);
+}
+
+export { parseEasing, cubicBezier, steps, linear };
+export default parseEasing;
@@ -0,0 +1,88 @@
+// <variablur-layer> and <variablur-glass>: the effect as custom elements.
+// Attributes override the CSS variables like JS options do, and the layers
+// are rendered in the element's shadow root, so nothing is added to its
+// children and selectors like `:last-child` or `> *` keep working.
+//
+//   <variablur-layer filter="blur(20px)" direction="top" offset="40px">...</variablur-layer>
+//   <variablur-glass refraction="1.5">...</variablur-glass>
+
+import { attach, detach, getInstance, renderIntoShadowRoot } from './core.js';
+
+// Attribute -> option
+const LAYER_ATTRIBUTES = {
+    filter: 'filter',
+    direction: 'direction',
+    offset: 'offset',
+    layers: 'layers',
+    color: 'color'
+};
+
+const GLASS_ATTRIBUTES = Object.assign({ refraction: 'glassRefraction' }, LAYER_ATTRIBUTES);
+
+// Defaults go on :host, where any rule of the page overrides them
+const LAYER_STYLE = ':host { display: block; position: relative; }';
+const GLASS_STYLE = `${LAYER_STYLE} :host { --variablur-glass-refraction: 1.5; --variablur-glass-offset: 20px; }`;
+
+// Custom elements only exist in browsers; on the server the classes are
+// defined but never registered
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+class VariablurLayerElement extends BaseElement {
+    static get attributeOptions() {
+        return LAYER_ATTRIBUTES;
+    }
+    static get hostStyle() {
+        return LAYER_STYLE;
+    }
+    static get observedAttributes() {
+        return Object.keys(this.attributeOptions);
+    }
+    constructor() {
+        super();
+        const root = this.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = this.constructor.hostStyle;
+        root.append(style, document.createElement('slot'));
+        renderIntoShadowRoot(this);
+    }
+    // Options from the attributes, null for the ones that aren't set (so the
+    // CSS variable applies again, even if the attribute was removed while
+    // the element was disconnected)
+    attributeOptions() {
+        const options = {};
+        for (const [attribute, option] of Object.entries(this.constructor.attributeOptions)) {
+            options[option] = this.hasAttribute(attribute) ? this.getAttribute(attribute) : null;
+        }
+        return options;
+    }
+    connectedCallback() {
+        attach(this, this.attributeOptions());
+    }
+    disconnectedCallback() {
+        detach(this);
+    }
+    attributeChangedCallback(name, oldValue, value) {
+        if (oldValue === value || !this.isConnected) return;
+        // A removed attribute hands the value back to the CSS variable
+        getInstance(this).set({ [this.constructor.attributeOptions[name]]: value });
+    }
+}
+
+class VariablurGlassElement extends VariablurLayerElement {
+    static get attributeOptions() {
+        return GLASS_ATTRIBUTES;
+    }
+    static get hostStyle() {
+        return GLASS_STYLE;
+    }
+}
+
+// Registers both elements, unless they already are (or can't be)
+function defineElements() {
+    if (typeof customElements === 'undefined') return;
+    if (!customElements.get('variablur-layer')) customElements.define('variablur-layer', VariablurLayerElement);
+    if (!customElements.get('variablur-glass')) customElements.define('variablur-glass', VariablurGlassElement);
+}
+
+export { VariablurLayerElement, VariablurGlassElement, defineElements };
+export default defineElements;
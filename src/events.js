@@ -0,0 +1,43 @@
+// Lifecycle events. Each one is dispatched on the element as a bubbling
+// CustomEvent named `variablur:<type>`, then passed to the listeners added
+// with on(). The detail always has the resolved configuration as `config`.
+//   attach       the element was attached and its layers are rendered; comes
+//                instead of `update` for the first render
+//   update       the layers were rendered again, which happens every frame
+//                while scrolling (scroll-linked), resizing or transitioning
+//   glass-ready  the glass filter is applied; detail.filterId
+//   detach       the element was detached and its layers removed
+//   error        something failed, e.g. the glass filter; detail.error
+
+const EVENT_TYPES = ['attach', 'update', 'glass-ready', 'detach', 'error'];
+
+// type -> Set of listeners
+const listeners = new Map(EVENT_TYPES.map(type => [type, new Set()]));
+
+// Calls `listener(event)` for events of `type` on every element.
+// Returns a function that removes the listener.
+function on(type, listener) {
+    if (!listeners.has(type)) throw new Error(`Unknown variablur event: ${type}`);
+    if (typeof listener !== 'function') throw new Error('The listener must be a function');
+    listeners.get(type).add(listener);
+    return () => off(type, listener);
+}
+
+function off(type, listener) {
+    if (listeners.has(type)) listeners.get(type).delete(listener);
+}
+
+function emit(el, type, detail) {
+    const event = new CustomEvent(`variablur:${type}`, { detail, bubbles: true });
+    el.dispatchEvent(event);
+    listeners.get(type).forEach(listener => {
+        // Like DOM listeners, one failing doesn't stop the others or the update
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('variablur: error in a listener:', error);
+        }
+    });
+}
+
+export { on, off, emit, EVENT_TYPES };
@@ -0,0 +1,45 @@
+// Fallback policy for --variablur-fallback, applied when the renderer of an
+// element can't draw everything it asks for in this browser. A space
+// separated list of:
+//   no-glass        drop the glass refraction
+//   layers(<n>)     use at most n blur layers
+//   solid(<color>)  replace the effect with a solid color
+// `none` (the default) renders as much as the browser can.
+
+import { splitTopLevel } from './calc.js';
+
+function parseFallback(value) {
+    const policy = { glass: true, layers: null, solid: null };
+    const input = String(value || '').trim();
+    if (!input || input === 'none') return policy;
+    splitTopLevel(input, ' ').forEach(part => {
+        const match = /^([a-z-]+)(?:\((.*)\))?$/i.exec(part);
+        const name = match ? match[1].toLowerCase() : '';
+        const args = match ? match[2] : undefined;
+        if (name === 'no-glass' && args === undefined) {
+            policy.glass = false;
+        } else if (name === 'layers' && args !== undefined) {
+            const layers = Number(args.trim());
+            if (!Number.isInteger(layers) || layers <= 0) throw new Error(`layers() needs a positive whole number: ${part}`);
+            policy.layers = layers;
+        } else if (name === 'solid' && args && args.trim()) {
+            policy.solid = args.trim();
+        } else {
+            throw new Error(`Unknown fallback: ${part}`);
+        }
+    });
+    return policy;
+}
+
+// The configuration to render instead, under `policy`
+function applyFallback(config, policy) {
+    const result = Object.assign({}, config);
+    if (!policy.glass) result.glassRefraction = '';
+    if (policy.layers) result.layers = String(Math.min(policy.layers, parseInt(config.layers) || 5));
+    if (policy.solid) {
+        Object.assign(result, { filter: '', layers: '1', color: policy.solid, glassRefraction: '' });
+    }
+    return result;
+}
+
+export { parseFallback, applyFallback };
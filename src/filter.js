@@ -0,0 +1,108 @@
+// CSS <filter-value-list> parsing and serializing.
+// A filter list is an array of entries: [name, value, unit, text] for
+// functions with a single numeric argument (e.g. ['blur', 0.5, 'px', '.5px']),
+// where `text` is the argument as written, and [name, args] for everything
+// else, with the arguments kept as written
+// (e.g. ['drop-shadow', '0 0 4px rgba(0,0,0,.5)'] or ['url', '#glass']).
+// Unknown functions are kept and names, numbers and units stay as written, so
+// toString(fromString(value)) gives the value back. normalize() drops `text`
+// and lowercases names and units.
+
+const NUMBER = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)$/i;
+const ANGLE_UNITS = { deg: 1, grad: 360 / 400, rad: 180 / Math.PI, turn: 360 };
+// Functions that take a <number> or <percentage>, where 100% = 1
+const AMOUNT_FUNCTIONS = ['brightness', 'contrast', 'grayscale', 'invert', 'opacity', 'saturate', 'sepia'];
+
+function entry(name, args) {
+    const numUnit = NUMBER.exec(args);
+    if (numUnit && name.toLowerCase() !== 'url') {
+        return [name, parseFloat(numUnit[1]), numUnit[2] || undefined, args];
+    }
+    return args ? [name, args] : [name];
+}
+
+// The argument of a numeric entry: its text as written, unless the value or
+// unit were changed since it was parsed
+function argument(value, unit, text) {
+    const numUnit = text === undefined ? null : NUMBER.exec(text);
+    if (numUnit && parseFloat(numUnit[1]) === value && (numUnit[2] || undefined) === (unit || undefined)) return text;
+    return unit ? `${value}${unit}` : `${value}`;
+}
+
+// Reads the arguments of the function whose "(" is at `start`, up to the
+// matching ")". Returns [args, index after the ")"].
+function readArguments(str, start) {
+    let depth = 1;
+    let quote = null;
+    for (let i = start + 1; i < str.length; i++) {
+        const char = str[i];
+        if (quote) {
+            if (char === '\\') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')' && --depth === 0) {
+            return [str.slice(start + 1, i).trim(), i + 1];
+        }
+    }
+    throw new Error(`Invalid filter "${str}": missing ")"`);
+}
+
+const filterConverter = {
+    fromString(str) {
+        const input = String(str || '').trim();
+        const result = [];
+        if (!input || input.toLowerCase() === 'none') return result;
+        const name = /[a-z-][a-z0-9-]*(?=\()/iy;
+        let i = 0;
+        while (i < input.length) {
+            if (/\s/.test(input[i])) {
+                i++;
+                continue;
+            }
+            name.lastIndex = i;
+            const match = name.exec(input);
+            if (!match) throw new Error(`Invalid filter "${input}": expected a function at position ${i}`);
+            const [args, end] = readArguments(input, i + match[0].length);
+            result.push(entry(match[0], args));
+            i = end;
+        }
+        return result;
+    },
+    toString(arr) {
+        return arr.map(([name, value, unit, text]) => {
+            if (value === undefined) return `${name}()`;
+            if (typeof value === 'string') return `${name}(${value})`;
+            return `${name}(${argument(value, unit, text)})`;
+        }).join(" ");
+    },
+    // Canonical form: lowercase names and units, angles in deg, amounts as
+    // numbers (50% -> 0.5), blur() and other empty functions with their default value
+    normalize(arr) {
+        return arr.map(([writtenName, value, writtenUnit]) => {
+            const name = writtenName.toLowerCase();
+            const unit = writtenUnit && writtenUnit.toLowerCase();
+            if (typeof value === 'string') return [name, value];
+            if (name === 'blur') {
+                if (value === undefined) return [name, 0, 'px'];
+                return [name, value, unit || 'px'];
+            }
+            if (name === 'hue-rotate') {
+                if (value === undefined) return [name, 0, 'deg'];
+                if (!unit || unit in ANGLE_UNITS) return [name, value * (ANGLE_UNITS[unit] || 1), 'deg'];
+                return [name, value, unit];
+            }
+            if (AMOUNT_FUNCTIONS.includes(name)) {
+                if (value === undefined) return [name, 1];
+                return unit === '%' ? [name, value / 100] : unit ? [name, value, unit] : [name, value];
+            }
+            if (value === undefined) return [name];
+            return unit ? [name, value, unit] : [name, value];
+        });
+    }
+};
+
+export { filterConverter };
+export default filterConverter;
@@ -0,0 +1,7 @@
+// Entry point for glass refraction: the SVG filter of an element, and the
+// displacement map, lens and shape math it's built from.
+
+export { createGlassSVGFilter, glassReady } from './core.js';
+export { RefractionEditor, calculateRefractionMap, renderRefractionMap } from './refraction.js';
+export { lensFunction, lensDisplacement, surfaceHeight, isLensProfile } from './lens.js';
+export { readGlassShape, parseClipPath, uniformShape, shapeDistance } from './shape.js';
@@ -0,0 +1,82 @@
+// The layer divs inside an element's backdrop container, shared by the
+// renderers. Other children of the container (the glass SVG) are left alone.
+
+const LAYER_STYLE = {
+    position: 'absolute',
+    top: '0',
+    left: '0',
+    width: '100%',
+    height: '100%',
+    'pointer-events': 'none',
+    'mask-image': 'linear-gradient(to bottom, black, black)',
+    '-webkit-mask-image': 'linear-gradient(to bottom, black, black)'
+};
+
+// Removed layers are kept for the next element (or frame) that needs more,
+// e.g. while --variablur-layers transitions
+const MAX_POOLED_LAYERS = 32;
+const pool = [];
+
+// layer -> { property: value } last written by setLayerStyle()
+const writtenStyles = new WeakMap();
+
+function getLayers(container) {
+    return Array.from(container.children).filter(child => child.classList.contains('backdrop-layer'));
+}
+
+function createLayer() {
+    const layer = pool.pop() || document.createElement('div');
+    layer.classList.add('backdrop-layer');
+    writtenStyles.set(layer, {});
+    for (const [property, value] of Object.entries(LAYER_STYLE)) setLayerStyle(layer, property, value);
+    return layer;
+}
+
+// Back to a bare div in the pool, so it can be handed to any renderer
+function releaseLayer(layer) {
+    layer.remove();
+    if (pool.length >= MAX_POOLED_LAYERS) return;
+    layer.replaceChildren();
+    layer.removeAttribute('style');
+    writtenStyles.delete(layer);
+    pool.push(layer);
+}
+
+// Writes a style property of a layer (or of an element inside one), unless
+// it already has that value
+function setLayerStyle(layer, property, value) {
+    let written = writtenStyles.get(layer);
+    if (!written) {
+        written = {};
+        writtenStyles.set(layer, written);
+    }
+    if (written[property] === value) return;
+    written[property] = value;
+    layer.style.setProperty(property, value);
+}
+
+// Adds or removes layers until there are `count`, and returns them from the bottom up
+function ensureLayers(container, count) {
+    const layers = getLayers(container);
+    while (layers.length > count) {
+        releaseLayer(layers.pop());
+    }
+    while (layers.length < count) {
+        const newLayer = createLayer();
+        const lastLayer = layers[layers.length - 1];
+        container.insertBefore(newLayer, lastLayer ? lastLayer.nextSibling : container.firstChild);
+        layers.push(newLayer);
+    }
+    return layers;
+}
+
+function removeLayers(container) {
+    getLayers(container).forEach(releaseLayer);
+}
+
+function topLayer(container) {
+    const layers = getLayers(container);
+    return layers[layers.length - 1] || null;
+}
+
+export { getLayers, ensureLayers, removeLayers, topLayer, setLayerStyle };
@@ -0,0 +1,62 @@
+// Glass lens model for the refraction map. The bezel (the first
+// --variablur-glass-offset px in from the outline) rises from the edge to the
+// full thickness of the glass following a surface profile. Light going straight
+// down through the surface bends by Snell's law and reaches the backdrop
+// displaced towards the inside of the glass.
+
+// Share of the bezel taken by the rounded rim of the `flat` profile
+const RIM = 1 / 3;
+
+// Surface height (0-1) at x, the distance in from the edge as a share of the bezel (0-1)
+const PROFILES = {
+    // Convex squircle: rises steeply, then flattens out early
+    squircle: x => Math.pow(1 - Math.pow(1 - x, 4), 1 / 4),
+    // Quarter circle across the whole bezel
+    circle: x => Math.sqrt(1 - (1 - x) * (1 - x)),
+    // Flat top with a rounded rim
+    flat: x => x >= RIM ? 1 : Math.sqrt(1 - Math.pow(1 - x / RIM, 2))
+};
+
+// Pixels of displacement per unit of the map, for feDisplacementMap's
+// scale="127" and a neutral value of 127
+const PX_PER_UNIT = 127 * 127 / 255;
+
+function isLensProfile(name) {
+    return name === 'legacy' || name in PROFILES;
+}
+
+// Surface height (0-1) of a profile; `legacy` has no surface of its own and uses `circle`
+function surfaceHeight(name, x) {
+    const profile = PROFILES[name] || PROFILES.circle;
+    return profile(Math.max(0, Math.min(1, x)));
+}
+
+function slope(profile, x) {
+    const h = 1e-3;
+    const a = Math.max(0, x - h);
+    const b = Math.min(1, x + h);
+    return (profile(b) - profile(a)) / (b - a);
+}
+
+// Inward displacement in px where the surface is `distance` px in from the edge
+function lensDisplacement(name, distance, bezel, thickness, index) {
+    const profile = PROFILES[name];
+    if (!profile || !(index > 1) || !(bezel > 0) || distance >= bezel) return 0;
+    const x = Math.max(0, distance / bezel);
+    const height = thickness * profile(x);
+    // Angle between the surface normal and the (vertical) incoming light
+    const incidence = Math.atan(slope(profile, x) * thickness / bezel);
+    const refracted = Math.asin(Math.sin(incidence) / index);
+    return height * Math.tan(incidence - refracted);
+}
+
+// Displacement in map units (-1 to 1) for `distance` px in from the edge.
+// `legacy` isn't a lens: calculateRefractionMap() draws the original map for it.
+function lensFunction(name, refraction, bezel, thickness) {
+    if (name === 'legacy') throw new Error('The legacy glass profile has no lens function');
+    if (!isLensProfile(name)) throw new Error(`Unknown glass profile: ${name}`);
+    return distance => Math.max(-1, Math.min(1, lensDisplacement(name, distance, bezel, thickness, refraction) / PX_PER_UNIT));
+}
+
+export { lensFunction, lensDisplacement, surfaceHeight, isLensProfile, PROFILES };
+export default lensFunction;
@@ -0,0 +1,193 @@
+// Displacement maps for glass elements. Maps are rendered in a worker when
+// the browser can, and kept as blob URLs in an LRU cache shared by every
+// element, keyed by the parameters they were rendered with.
+
+import { renderRefractionMap } from './refraction.js';
+
+// Maps kept around when no element uses them
+const CACHE_SIZE = 24;
+
+// key -> { promise (of the blob URL), job, users, settled }, least recently used first
+const cache = new Map();
+// owner (usually an element) -> { shown, pending }: keys of the map on screen
+// and of the one it waits for, both kept until commitRefractionMap()
+const owners = new WeakMap();
+
+// The worker chunk sits next to the bundle, so remember where it was loaded from
+const scriptUrl = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : '';
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+const workerRequests = new Map();
+
+// Renders waiting for their turn. The worker renders one map at a time
+// anyway, and waiting here lets a map that's no longer wanted (e.g. one frame
+// of a --variablur-glass-refraction transition) be dropped unrendered.
+const queue = [];
+let rendering = false;
+
+// `params`: { refraction, width, height, shape, offset, lens }, see renderRefractionMap()
+function refractionMapKey(params) {
+    const { refraction, width, height, shape, offset, lens = {} } = params;
+    return JSON.stringify([width, height, shape, refraction, offset, lens.profile, lens.thickness, lens.rimWidth]);
+}
+
+function getWorker() {
+    if (worker || workerFailed) return worker;
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+        workerFailed = true;
+        return null;
+    }
+    try {
+        if (scriptUrl) __webpack_public_path__ = scriptUrl.replace(/[^/]*$/, '');
+        worker = new Worker(new URL('./refraction.worker.js', import.meta.url));
+    } catch (error) {
+        workerFailed = true;
+        return null;
+    }
+    worker.onmessage = ({ data }) => {
+        const request = workerRequests.get(data.id);
+        if (!request) return;
+        workerRequests.delete(data.id);
+        if (data.error) request.reject(new Error(data.error));
+        else request.resolve(data.blob);
+    };
+    // The worker script can fail to load, e.g. when the bundle was copied
+    // without its worker chunk. Render on the main thread from then on.
+    worker.onerror = event => {
+        event.preventDefault();
+        worker.terminate();
+        worker = null;
+        workerFailed = true;
+        const pending = Array.from(workerRequests.values());
+        workerRequests.clear();
+        pending.forEach(({ params, resolve, reject }) => renderRefractionMap(params).then(resolve, reject));
+    };
+    return worker;
+}
+
+function renderNow(params) {
+    const target = getWorker();
+    if (!target) return renderRefractionMap(params);
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        workerRequests.set(id, { params, resolve, reject });
+        target.postMessage({ id, params });
+    });
+}
+
+// Queues a render. Returns a job for cancelRender(), with the `promise` of the blob.
+function renderMap(params) {
+    const job = { params };
+    job.promise = new Promise((resolve, reject) => Object.assign(job, { resolve, reject }));
+    queue.push(job);
+    renderNext();
+    return job;
+}
+
+function renderNext() {
+    if (rendering || !queue.length) return;
+    const job = queue.shift();
+    rendering = true;
+    renderNow(job.params).then(job.resolve, job.reject).then(() => {
+        rendering = false;
+        renderNext();
+    });
+}
+
+// A job that already started is left to finish, its result is just dropped
+function cancelRender(job) {
+    const index = queue.indexOf(job);
+    if (index === -1) return;
+    queue.splice(index, 1);
+    job.reject(new Error('The refraction map is no longer needed'));
+}
+
+function dropEntry(key, entry) {
+    cache.delete(key);
+    cancelRender(entry.job);
+    entry.promise.then(url => URL.revokeObjectURL(url), () => {});
+}
+
+// Drops the least recently used maps no one uses
+function evict() {
+    for (const [key, entry] of cache) {
+        if (cache.size <= CACHE_SIZE) break;
+        if (entry.users > 0) continue;
+        dropEntry(key, entry);
+    }
+}
+
+function hold(key) {
+    cache.get(key).users++;
+}
+
+// Maps no one waits for anymore are dropped before they're done, instead of
+// filling the cache with maps of settings that are already gone
+function unhold(key) {
+    const entry = cache.get(key);
+    if (!entry) return;
+    entry.users--;
+    if (entry.users <= 0 && !entry.settled) dropEntry(key, entry);
+}
+
+// Resolves with the blob URL of the map for `params`. The map the owner
+// showed so far stays valid until commitRefractionMap() or releaseRefractionMap(),
+// and a map it was still waiting for is given up.
+function acquireRefractionMap(owner, params) {
+    const key = refractionMapKey(params);
+    let entry = cache.get(key);
+    if (entry) {
+        // Move to the most recently used end
+        cache.delete(key);
+    } else {
+        const job = renderMap(params);
+        entry = { users: 0, settled: false, job, promise: job.promise.then(blob => URL.createObjectURL(blob)) };
+        const settle = () => {
+            entry.settled = true;
+        };
+        // Failed maps aren't kept, so the next request tries again
+        entry.promise.then(settle, () => {
+            settle();
+            if (cache.get(key) === entry) cache.delete(key);
+        });
+    }
+    cache.set(key, entry);
+    let state = owners.get(owner);
+    if (!state) {
+        state = { shown: undefined, pending: undefined };
+        owners.set(owner, state);
+    }
+    if (key !== state.pending) {
+        const superseded = state.pending;
+        state.pending = key === state.shown ? undefined : key;
+        if (state.pending !== undefined) hold(key);
+        if (superseded !== undefined) unhold(superseded);
+    }
+    evict();
+    return entry.promise;
+}
+
+// Called once the owner shows the map it waited for, which releases the one
+// it showed before
+function commitRefractionMap(owner) {
+    const state = owners.get(owner);
+    if (!state || state.pending === undefined) return;
+    const previous = state.shown;
+    state.shown = state.pending;
+    state.pending = undefined;
+    if (previous !== undefined) unhold(previous);
+    evict();
+}
+
+function releaseRefractionMap(owner) {
+    const state = owners.get(owner);
+    if (!state) return;
+    owners.delete(owner);
+    if (state.shown !== undefined) unhold(state.shown);
+    if (state.pending !== undefined) unhold(state.pending);
+    evict();
+}
+
+export { acquireRefractionMap, commitRefractionMap, releaseRefractionMap, refractionMapKey };
@@ -0,0 +1,235 @@
+// Mask gradients for the blur layers.
+// A direction resolves to one or more "ramps": gradients that start at the
+// fully blurred end (0%) and fade towards the clear end (100%). Every layer
+// uses the same stops on each ramp, and multiple ramps are combined by the
+// default `mask-composite: add`.
+
+import parseCalcRelative, { splitTopLevel } from './calc.js';
+
+const SIDES = ["top", "bottom", "left", "right"];
+const RADIAL_SHAPES = { radial: "circle", circle: "circle", ellipse: "ellipse" };
+const RADIUS_KEYWORDS = ["closest-side", "farthest-side", "closest-corner", "farthest-corner"];
+const ANGLE_UNITS = { deg: 1, grad: 360 / 400, rad: 180 / Math.PI, turn: 360 };
+const SIDE_ANGLES = { top: 0, right: 90, bottom: 180, left: 270 };
+
+function clampPercent(v) {
+    return Math.max(0, Math.min(100, v));
+}
+
+// Extra stops between two mask stops (opaque at `from`, transparent at `to`)
+// so the fade follows the easing curve between progress p0 and p1
+function easedFadeStops(from, to, p0, p1, easing, count = 3) {
+    const e0 = easing(Math.max(0, Math.min(1, p0)));
+    const e1 = easing(Math.max(0, Math.min(1, p1)));
+    if (Math.abs(e0 - e1) < 1e-6) return [];
+    const stops = [];
+    for (let k = 1; k <= count; k++) {
+        const t = k / (count + 1);
+        const p = Math.max(0, Math.min(1, p0 + (p1 - p0) * t));
+        const alpha = Math.max(0, Math.min(1, (easing(p) - e1) / (e0 - e1)));
+        stops.push([Number(alpha.toFixed(4)), from + (to - from) * t]);
+    }
+    return stops;
+}
+
+// Stops ([alpha, position%]) of blur layer i out of n for a ramp where the
+// effect covers `scale` of its length
+function layerStops(i, n, scale, invert = false, easing = null) {
+    const step = 100 / n;
+    if (invert) scale = 1 - scale;
+    const shift = 1 - scale;
+    const a = clampPercent((i - 1) * step) * scale + 100 * shift;
+    const c = clampPercent((i + 1) * step) * scale + 100 * shift;
+    const d = clampPercent((i + 2) * step) * scale + 100 * shift;
+    // Layer i fades out where the blur ramp goes from progress 1-(i+1)/n to 1-(i+2)/n
+    const fade = easing ? easedFadeStops(c, d, 1 - (i + 1) / n, 1 - (i + 2) / n, easing) : [];
+    return [[1, a], [1, c], ...fade, [0, d]];
+}
+
+// Stops of the top layer (color and non-blur filters)
+function topLayerStops(scale, easing = null) {
+    const fade = easing ? easedFadeStops(scale * 100, 100, 1, 0, easing) : [];
+    return [[1, scale * 100], ...fade, [0, 100]];
+}
+
+function resolvePosition(value, el, axis) {
+    const size = axis === 0 ? el.clientWidth : el.clientHeight;
+    const keywords = axis === 0
+        ? { left: 0, center: 50, right: 100 }
+        : { top: 0, center: 50, bottom: 100 };
+    if (value in keywords) return size * keywords[value] / 100;
+    return parseCalcRelative(value, el, axis, size);
+}
+
+// "50% 50%", "left 20px", "top", ... as pixel coordinates in the element
+function resolveCenter(value, el) {
+    const parts = splitTopLevel((value || "").trim() || "center", " ");
+    let [x, y] = parts.length === 1 ? [parts[0], "center"] : parts;
+    // Keywords may come in either order: "top left"
+    if (x === "top" || x === "bottom" || y === "left" || y === "right") [x, y] = [y, x];
+    return [resolvePosition(x, el, 0), resolvePosition(y, el, 1)];
+}
+
+function resolveRadius(value, el, shape, cx, cy) {
+    const w = el.clientWidth;
+    const h = el.clientHeight;
+    const str = (value || "").trim() || "farthest-corner";
+    const sides = [cx, w - cx, cy, h - cy].map(Math.abs);
+    if (RADIUS_KEYWORDS.includes(str)) {
+        const pick = str.startsWith("closest") ? Math.min : Math.max;
+        if (shape === "circle") {
+            if (str.endsWith("side")) return [pick(...sides)];
+            const corners = [[0, 0], [w, 0], [0, h], [w, h]].map(([x, y]) => Math.hypot(x - cx, y - cy));
+            return [pick(...corners)];
+        }
+        const rx = pick(sides[0], sides[1]);
+        const ry = pick(sides[2], sides[3]);
+        if (str.endsWith("side")) return [rx, ry];
+        // Corner keywords keep the aspect ratio of the matching side keyword
+        return [rx * Math.SQRT2, ry * Math.SQRT2];
+    }
+    const parts = splitTopLevel(str, " ");
+    if (shape === "circle") {
+        return [parseCalcRelative(parts[0], el, 0, Math.hypot(w, h) / Math.SQRT2)];
+    }
+    return [
+        parseCalcRelative(parts[0], el, 0, w),
+        parseCalcRelative(parts[1] || parts[0], el, 1, h)
+    ];
+}
+
+// `135deg`, `0.25turn`, ... in degrees, or null if the value isn't an angle
+function parseAngle(value) {
+    const match = /^(-?\d*\.?\d+)(deg|grad|rad|turn)?$/.exec(value);
+    if (!match || (!match[2] && parseFloat(match[1]) !== 0)) return null;
+    return parseFloat(match[1]) * (ANGLE_UNITS[match[2]] || 1);
+}
+
+// Like linear-gradient(<angle>): the gradient line runs through the center,
+// long enough that the corners are at 0% and 100%
+function angleRamp(degrees, el) {
+    const w = el.clientWidth;
+    const h = el.clientHeight;
+    const rad = degrees * Math.PI / 180;
+    const sin = Math.abs(Math.sin(rad));
+    const cos = Math.abs(Math.cos(rad));
+    return {
+        index: 0,
+        gradient: `linear-gradient(${degrees}deg`,
+        // The offset is projected onto the gradient line
+        size: w * sin + h * cos,
+        axis: sin > cos ? 0 : 1,
+        angle: degrees,
+        span: 1,
+        reverse: false
+    };
+}
+
+// A direction is a single mode or a comma separated list of them
+function isDirection(value) {
+    const parts = splitTopLevel((value || "").trim().toLowerCase(), ",");
+    return parts.length > 0 && parts.every(dir =>
+        SIDES.includes(dir) || dir === "inset" || dir in RADIAL_SHAPES || parseAngle(dir) !== null
+    );
+}
+
+// The same gradient line pointing the other way, used for the
+// `start / end` band syntax. Null for directions that have no opposite.
+function oppositeDirection(value) {
+    const dir = (value || "").trim().toLowerCase();
+    const opposite = { top: "bottom", bottom: "top", left: "right", right: "left" }[dir];
+    if (opposite) return opposite;
+    const angle = parseAngle(dir);
+    return angle === null ? null : `${angle + 180}deg`;
+}
+
+function isOpposite(a, b) {
+    if (a.angle === undefined || b.angle === undefined) return false;
+    return Math.abs((((a.angle - b.angle) % 360) + 360) % 360 - 180) < 1e-6;
+}
+
+function halveRamp(ramp) {
+    return Object.assign({}, ramp, { size: ramp.size / ramp.span * 0.5, span: 0.5 });
+}
+
+// `span` is the part of the gradient the ramp uses, so opposite sides can
+// share the element without overlapping
+function sideRamp(side, el, span = 1) {
+    const axis = (side === "left" || side === "right") ? 0 : 1;
+    return {
+        index: 0,
+        gradient: `linear-gradient(to ${side}`,
+        size: (axis === 0 ? el.clientWidth : el.clientHeight) * span,
+        axis,
+        angle: SIDE_ANGLES[side],
+        span,
+        reverse: false
+    };
+}
+
+// Turns a direction into ramps. `shape` holds the center and radius
+// settings used by the radial modes. In a list of directions, `index` tells
+// which direction (and offset) a ramp belongs to.
+function resolveRamps(direction, el, shape = {}) {
+    const dir = (direction || "bottom").trim().toLowerCase();
+    const parts = splitTopLevel(dir, ",");
+    if (parts.length > 1) {
+        const ramps = parts.flatMap((part, index) =>
+            resolveRamps(part, el, shape).map(ramp => Object.assign(ramp, { index }))
+        );
+        // Opposite ramps share one gradient line, each fades out in the middle
+        return ramps.map(ramp =>
+            ramp.span === 1 && ramps.some(other => other !== ramp && isOpposite(ramp, other)) ? halveRamp(ramp) : ramp
+        );
+    }
+    if (SIDES.includes(dir)) return [sideRamp(dir, el)];
+    // Every side blurs its own edge and is clear from the middle on
+    if (dir === "inset") return SIDES.map(side => sideRamp(side, el, 0.5));
+    if (RADIAL_SHAPES[dir]) {
+        const kind = RADIAL_SHAPES[dir];
+        const [cx, cy] = resolveCenter(shape.center, el);
+        const radii = resolveRadius(shape.radius, el, kind, cx, cy);
+        return [{
+            index: 0,
+            gradient: `radial-gradient(${kind} ${radii.map(r => `${r}px`).join(" ")} at ${cx}px ${cy}px`,
+            // Stop percentages of an ellipse are measured along its horizontal radius
+            size: radii[0],
+            axis: 0,
+            span: 1,
+            // Radial gradients start in the center, but the blurred end is on the outside
+            reverse: true
+        }];
+    }
+    const angle = parseAngle(dir);
+    if (angle !== null) return [angleRamp(angle, el)];
+    return [sideRamp("bottom", el)];
+}
+
+function rampGradient(ramp, stops) {
+    const scaled = stops.map(([alpha, pos]) => [alpha, pos * ramp.span]);
+    const ordered = ramp.reverse
+        ? scaled.map(([alpha, pos]) => [alpha, 100 - pos]).reverse()
+        : scaled;
+    return `${ramp.gradient},${ordered.map(([alpha, pos]) => `rgba(0,0,0,${alpha}) ${pos}%`).join(",")})`;
+}
+
+// `offset` is in px, or a function returning the offset in px for a ramp
+function rampScale(ramp, offset) {
+    const px = typeof offset === "function" ? offset(ramp) : offset;
+    return px / ramp.size;
+}
+
+function calculateMask(i, n, direction, offset, el, invert = false, easing = null, shape = {}) {
+    return resolveRamps(direction, el, shape)
+        .map(ramp => rampGradient(ramp, layerStops(i, n, rampScale(ramp, offset), invert, easing)))
+        .join(",");
+}
+
+function calculateTopMask(direction, offset, el, easing = null, shape = {}) {
+    return resolveRamps(direction, el, shape)
+        .map(ramp => rampGradient(ramp, topLayerStops(rampScale(ramp, offset), easing)))
+        .join(",");
+}
+
+export { calculateMask, calculateTopMask, resolveRamps, isDirection, oppositeDirection, parseAngle, layerStops, topLayerStops, easedFadeStops };
+export default calculateMask;
@@ -0,0 +1,11 @@
+// Entry point for the math behind the effect: blur distribution, easing,
+// CSS lengths, filters, masks and colors. Nothing here runs on import or
+// needs the DOM, except to resolve lengths relative to an element you pass.
+
+export { calcBlurPerLayer, exponentialBlurLayers, easedBlurLayers } from './blur.js';
+export { parseEasing, cubicBezier, steps, linear } from './easing.js';
+export { parseCalcRelative, splitTopLevel, CalcError } from './calc.js';
+export { filterConverter } from './filter.js';
+export { calculateMask, calculateTopMask } from './mask.js';
+export { parseColor, formatColor, mixColors } from './color.js';
+export { interpolateConfig, interpolateFilters, parseTransition } from './animate.js';
@@ -0,0 +1,58 @@
+// User preferences from media queries. Each one can be overridden per
+// element with a CSS variable set to `ignore`:
+//   --variablur-reduced-transparency  opaque color instead of see-through (or a color to use)
+//   --variablur-reduced-motion        no transitions or scroll-linked changes
+//   --variablur-forced-colors         no overlay at all
+
+import { parseColor, formatColor } from './color.js';
+
+const QUERIES = {
+    reducedTransparency: '(prefers-reduced-transparency: reduce)',
+    reducedMotion: '(prefers-reduced-motion: reduce)',
+    forcedColors: '(forced-colors: active)'
+};
+
+const lists = {};
+
+function mediaList(name) {
+    if (!(name in lists)) {
+        lists[name] = typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+            ? window.matchMedia(QUERIES[name])
+            : null;
+    }
+    return lists[name];
+}
+
+// Whether the preference is on and the element's override doesn't ignore it
+function prefers(name, config) {
+    if (String(config[name] || '').trim() === 'ignore') return false;
+    const list = mediaList(name);
+    return !!(list && list.matches);
+}
+
+// The overlay color made opaque, or the color set in --variablur-reduced-transparency.
+// Without a color the page background (the `Canvas` system color) is used.
+function opaqueColor(config) {
+    const override = String(config.reducedTransparency || '').trim();
+    if (override && override !== 'auto') return override;
+    const color = parseColor(config.color || '');
+    if (!color || color[3] === 0) return 'Canvas';
+    return formatColor([color[0], color[1], color[2], 1]);
+}
+
+// Calls `onChange` whenever one of the preferences changes.
+// Returns a function that stops listening.
+function watchPreferences(onChange) {
+    const watched = Object.keys(QUERIES).map(mediaList).filter(Boolean);
+    watched.forEach(list => {
+        // Safari before 14 only has addListener()
+        if (typeof list.addEventListener === 'function') list.addEventListener('change', onChange);
+        else list.addListener(onChange);
+    });
+    return () => watched.forEach(list => {
+        if (typeof list.removeEventListener === 'function') list.removeEventListener('change', onChange);
+        else list.removeListener(onChange);
+    });
+}
+
+export { prefers, opaqueColor, watchPreferences };
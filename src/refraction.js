@@ -0,0 +1,304 @@
+// Displacement map generation for the glass effect. Has no DOM access, so
+// it can run in the refraction worker as well as on the main thread.
+// Maps are RGBA: R = X displacement, B = Y displacement (127 = none),
+// G = surface height for the lighting pass.
+
+import { uniformShape, shapeDistance } from './shape.js';
+import { lensFunction, surfaceHeight } from './lens.js';
+
+class RefractionEditor {
+    imageData = null;
+    constructor(width, height, shape) {
+        this.imageData = new ImageData(width, height);
+        this.width = width;
+        this.height = height;
+        // A border radius in px, or a shape from readGlassShape()
+        this.shape = typeof shape === 'object' ? shape : uniformShape(width, height, shape || 0);
+        //make all pixels solid with channel separation
+        for (let i = 0; i < this.imageData.data.length; i += 4) {
+            const base = 127; // Empirically determined neutral value for sRGB color space
+            this.imageData.data[i] = base;     // R - X displacement channel
+            this.imageData.data[i + 1] = base; // G - surface height channel, see applyHeightMap
+            this.imageData.data[i + 2] = base; // B - Y displacement channel
+            this.imageData.data[i + 3] = 255; // A
+        }
+    }
+    static linearToSRGB(x) {
+        return x <= 0.0031308
+            ? 12.92 * x
+            : 1.055 * Math.pow(x, 1 / 2.4) - 0.055;
+    }
+
+    static sRGBToLinear(x) {
+        return x <= 0.04045
+            ? x / 12.92
+            : Math.pow((x + 0.055) / 1.055, 2.4);
+    }
+
+    static fromLinearImageData(linearImageData) {
+        const { width, height, data } = linearImageData;
+        const output = new Uint8ClampedArray(data.length);
+
+        for (let i = 0; i < data.length; i += 4) {
+            for (let j = 0; j < 3; j++) {
+                const lin = data[i + j] / 255;
+                output[i + j] = Math.round(this.linearToSRGB(lin) * 255);
+            }
+            output[i + 3] = data[i + 3]; // alpha
+        }
+
+        return new ImageData(output, width, height);
+    }
+
+    static toLinearImageData(srgbImageData) {
+        const { width, height, data } = srgbImageData;
+        const output = new Uint8ClampedArray(data.length);
+
+        for (let i = 0; i < data.length; i += 4) {
+            for (let j = 0; j < 3; j++) {
+                const s = data[i + j] / 255;
+                output[i + j] = Math.round(this.sRGBToLinear(s) * 255);
+            }
+            output[i + 3] = data[i + 3]; // alpha
+        }
+
+        return new ImageData(output, width, height);
+    }
+    addTransformation(vx, vy, direction, dx, dy, dw, dh, easing = (x) => x) {
+        const data = this.imageData.data;
+
+        // Iterate through each pixel in the rectangle
+        for (let y = dy; y < dy + dh; y++) {
+            for (let x = dx; x < dx + dw; x++) {
+                // Skip if outside image bounds
+                if (x < 0 || y < 0 || x >= this.imageData.width || y >= this.imageData.height) continue;
+
+                // Calculate gradient segment based on direction
+                let gradientSegment = 0;
+                switch (direction.toLowerCase()) {
+                    case 'down':
+                        gradientSegment = (y - dy) / dh; // top to bottom
+                        break;
+                    case 'up':
+                    case 'top':
+                        gradientSegment = (dh - (y - dy)) / dh; // bottom to top
+                        break;
+                    case 'right':
+                        gradientSegment = (x - dx) / dw; // left to right
+                        break;
+                    case 'left':
+                        gradientSegment = (dw - (x - dx)) / dw; // right to left
+                        break;
+                    default:
+                        gradientSegment = (y - dy) / dh; // default to down
+                }
+
+                // Clamp gradient segment to 0-1 range
+                gradientSegment = Math.max(0, Math.min(1, gradientSegment));
+
+                // Calculate pixel index
+                const pixelIndex = (y * this.imageData.width + x) * 4;
+
+                // Get current R and B values (X and Y displacement channels)
+                let r = data[pixelIndex];     // R channel for X displacement
+                let b = data[pixelIndex + 2]; // B channel for Y displacement
+
+                // Calculate vx and vy values using functions
+                var vxValue = typeof vx === 'function' ? vx(x, y, dw, dh) : vx;
+                var vyValue = typeof vy === 'function' ? vy(x, y, dw, dh) : vy;
+                // vxValue -= vyValue * .125
+
+                // Apply transformation to specific channels
+                r += 127 * vxValue * easing(gradientSegment); // X displacement goes to R channel
+                b += 127 * vyValue * easing(gradientSegment); // Y displacement goes to B channel
+
+                // Clamp values to 0-255 range and update only the channels we're using
+                this.imageData.data[pixelIndex] = Math.max(0, Math.min(255, Math.round(r)));     // R channel
+                this.imageData.data[pixelIndex + 2] = Math.max(0, Math.min(255, Math.round(b))); // B channel
+                // Leave G channel (index 1) and A channel (index 3) unchanged
+            }
+        }
+    }
+    /**
+     * Compute the outward normal and distance to the outline for a given pixel (x, y)
+     * Returns: { nx, ny, distToBorder }, distToBorder is negative outside the shape
+     */
+    getBorderNormalAndDistance(x, y) {
+        // Sample at the pixel center
+        const { distance, nx, ny } = shapeDistance(this.shape, x + 0.5, y + 0.5);
+        return { nx, ny, distToBorder: distance };
+    }
+
+    /**
+     * Apply a shape-aware refraction transformation to the whole image
+     * @param {number} refractionStrength - max refraction at border
+     * @param {number} borderWidth - width of the border region (in px) where refraction is applied
+     * @param {function} [falloff] - optional function for falloff (default: quadratic)
+     */
+    applyBorderRadiusRefraction(refractionStrength, borderWidth, falloff = (d) => d * d) {
+        this.applyLensRefraction((distance) => refractionStrength * falloff(1 - distance / borderWidth), borderWidth);
+    }
+
+    /**
+     * Displace every pixel within borderWidth of the outline towards the inside of the shape
+     * @param {function} lens - displacement (-1 to 1) for a distance in px from the outline
+     * @param {number} borderWidth - width of the border region (in px) where refraction is applied
+     */
+    applyLensRefraction(lens, borderWidth) {
+        const data = this.imageData.data;
+        const w = this.width;
+        const h = this.height;
+        if (!(borderWidth > 0)) return;
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const { nx, ny, distToBorder } = this.getBorderNormalAndDistance(x, y);
+                // Only apply inside the shape, within borderWidth from the outline
+                if (distToBorder < 0 || distToBorder >= borderWidth) continue;
+                const t = lens(distToBorder);
+                // Compute displacement; the edge samples the backdrop further inside
+                const dx = -nx * t;
+                const dy = -ny * t;
+                // Write to R/B channels
+                const pixelIndex = (y * w + x) * 4;
+                let rVal = data[pixelIndex];
+                let bVal = data[pixelIndex + 2];
+                // Center value is 127, so add displacement scaled to [-127,127]
+                rVal += 127 * dx;
+                bVal += 127 * dy;
+                data[pixelIndex] = Math.max(0, Math.min(255, Math.round(rVal)));
+                data[pixelIndex + 2] = Math.max(0, Math.min(255, Math.round(bVal)));
+            }
+        }
+    }
+    /**
+     * The original map: linear ramps from each edge to the middle, then the
+     * shape filled with the neutral value and blurred by blurRadius px on
+     * top, so the displacement only shows near the outline
+     * @param {number} refraction - displacement at the edges is half of it
+     * @param {number} blurRadius - standard deviation (in px) of the blur
+     */
+    applyLegacyRefraction(refraction, blurRadius) {
+        const w = this.width;
+        const h = this.height;
+        const strength = refraction / 2;
+        // The far halves start on a whole pixel when a side is odd
+        this.addTransformation(0, strength, 'top', 0, 0, w, h / 2);
+        this.addTransformation(0, -strength, 'down', 0, Math.floor(h / 2), w, Math.ceil(h / 2));
+        this.addTransformation(strength, 0, 'left', 0, 0, w / 2, h);
+        this.addTransformation(-strength, 0, 'right', Math.floor(w / 2), 0, Math.ceil(w / 2), h);
+        // Antialiased coverage of the shape, sampled at the pixel centers
+        const cover = new Float32Array(w * h);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const { distToBorder } = this.getBorderNormalAndDistance(x, y);
+                cover[y * w + x] = Math.max(0, Math.min(1, distToBorder + 0.5));
+            }
+        }
+        gaussianBlur(cover, w, h, blurRadius);
+        const data = this.imageData.data;
+        for (let i = 0; i < cover.length; i++) {
+            const pixelIndex = i * 4;
+            data[pixelIndex] = Math.round(data[pixelIndex] + (127 - data[pixelIndex]) * cover[i]);
+            data[pixelIndex + 2] = Math.round(data[pixelIndex + 2] + (127 - data[pixelIndex + 2]) * cover[i]);
+        }
+    }
+    /**
+     * Write the surface height (0-255) to the G channel: 0 outside the shape,
+     * rising across rimWidth from the outline, used by the lighting pass
+     * @param {function} height - height (0 to 1) for a distance in px from the outline
+     * @param {number} rimWidth - width of the rim (in px)
+     */
+    applyHeightMap(height, rimWidth) {
+        const data = this.imageData.data;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const { distToBorder } = this.getBorderNormalAndDistance(x, y);
+                const value = distToBorder < 0 ? 0 : rimWidth > 0 ? height(Math.min(1, distToBorder / rimWidth)) : 1;
+                data[(y * this.width + x) * 4 + 1] = Math.round(255 * value);
+            }
+        }
+    }
+    getImageData() {
+        return this.imageData;
+    }
+}
+
+// --- Blur for the legacy map ---
+
+// Sizes of the three box blurs that together approximate a Gaussian blur
+function boxSizes(sigma) {
+    const ideal = Math.sqrt(4 * sigma * sigma + 1);
+    let lower = Math.floor(ideal);
+    if (lower % 2 === 0) lower--;
+    const lowerCount = Math.round((12 * sigma * sigma - 3 * lower * lower - 12 * lower - 9) / (-4 * lower - 4));
+    return [0, 1, 2].map(i => i < lowerCount ? lower : lower + 2);
+}
+
+// Box blur of `size` px along one axis; `stride` steps from one pixel to
+// the next on that axis
+function boxBlurLines(values, lines, length, lineStride, stride, size) {
+    const radius = (size - 1) / 2;
+    const line = new Float32Array(length);
+    for (let l = 0; l < lines; l++) {
+        const start = l * lineStride;
+        for (let i = 0; i < length; i++) line[i] = values[start + i * stride];
+        let sum = 0;
+        for (let i = 0; i < Math.min(radius, length); i++) sum += line[i];
+        for (let i = 0; i < length; i++) {
+            if (i + radius < length) sum += line[i + radius];
+            if (i - radius - 1 >= 0) sum -= line[i - radius - 1];
+            values[start + i * stride] = sum / size;
+        }
+    }
+}
+
+// Blurs a width x height array of values in place, like CSS blur(sigma px).
+// Outside the array counts as 0, like transparent pixels on a canvas, and
+// the blur spreads into a margin around it so that each pass sees what the
+// previous one spread outside. With three passes, what spreads further out
+// than the largest radius never makes it back in.
+function gaussianBlur(values, width, height, sigma) {
+    if (!(sigma > 0)) return;
+    const sizes = boxSizes(sigma).filter(size => size > 1);
+    const margin = Math.max(0, ...sizes.map(size => (size - 1) / 2));
+    const w = width + 2 * margin;
+    const h = height + 2 * margin;
+    const padded = new Float32Array(w * h);
+    for (let y = 0; y < height; y++) {
+        padded.set(values.subarray(y * width, (y + 1) * width), (y + margin) * w + margin);
+    }
+    for (const size of sizes) {
+        boxBlurLines(padded, h, w, w, 1, size);
+        boxBlurLines(padded, w, h, 1, w, size);
+    }
+    for (let y = 0; y < height; y++) {
+        values.set(padded.subarray((y + margin) * w + margin, (y + margin) * w + margin + width), y * width);
+    }
+}
+
+// `shape` is a border radius in px or a shape from readGlassShape(), `offset`
+// how far the refraction reaches in from the outline (default: half the shorter side).
+// `profile` picks the lens surface (see lens.js) and `thickness` its height in px;
+// `legacy` is the original map instead, blurred by `offset` px.
+// With a `rimWidth` (px), the G channel gets the height map for the lighting pass.
+function calculateRefractionMap(refraction, width, height, shape, offset = Math.min(width, height) / 2, { profile = 'legacy', thickness = offset, rimWidth } = {}) {
+    const refractionEditor = new RefractionEditor(width, height, shape);
+    if (profile === 'legacy') refractionEditor.applyLegacyRefraction(refraction, offset);
+    else refractionEditor.applyLensRefraction(lensFunction(profile, refraction, offset, thickness), offset);
+    if (rimWidth !== undefined) refractionEditor.applyHeightMap(x => surfaceHeight(profile, x), rimWidth);
+    return refractionEditor.getImageData();
+}
+
+// Renders a map to a PNG blob. `params` are the arguments of
+// calculateRefractionMap as an object.
+async function renderRefractionMap({ refraction, width, height, shape, offset, lens }) {
+    const imageData = calculateRefractionMap(refraction, width, height, shape, offset, lens);
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    //canvas color space is srgb
+    ctx.putImageData(imageData, 0, 0);
+    return canvas.convertToBlob({ type: 'image/png' });
+}
+
+export { RefractionEditor, calculateRefractionMap, renderRefractionMap };
+export default calculateRefractionMap;
@@ -0,0 +1,14 @@
+// Renders displacement maps off the main thread. Messages are
+// { id, params } with the params of renderRefractionMap(), answered with
+// { id, blob } or { id, error }.
+
+import { renderRefractionMap } from './refraction.js';
+
+self.onmessage = async ({ data }) => {
+    try {
+        const blob = await renderRefractionMap(data.params);
+        self.postMessage({ id: data.id, blob });
+    } catch (error) {
+        self.postMessage({ id: data.id, error: error.message });
+    }
+};
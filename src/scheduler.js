@@ -0,0 +1,94 @@
+// One requestAnimationFrame callback for everything variablur does in a
+// frame, in three steps, so reading the styles or layout of one element never
+// comes right after a style write to another:
+//   frame  requestFrame() callbacks: transitions, polling, change checks
+//   read   measure() callbacks, which mustn't write to the DOM
+//   write  mutate() callbacks, which shouldn't read styles or layout
+// Callbacks added during a step run in the same frame if their step is
+// still to come (or running), and in the next frame otherwise.
+
+const frameCallbacks = new Map(); // id -> callback
+let reads = [];
+let writes = [];
+let nextFrameId = 0;
+let handle = null;
+let step = null;
+
+// Update cost reports, see profile()
+const profilers = new Set();
+
+function scheduleFrame() {
+    if (!handle && step === null) handle = requestAnimationFrame(runFrame);
+}
+
+// Like requestAnimationFrame(), but in the shared frame. Returns an ID for cancelFrame().
+function requestFrame(callback) {
+    const id = ++nextFrameId;
+    frameCallbacks.set(id, callback);
+    scheduleFrame();
+    return id;
+}
+
+function cancelFrame(id) {
+    frameCallbacks.delete(id);
+}
+
+function measure(callback) {
+    reads.push(callback);
+    scheduleFrame();
+}
+
+function mutate(callback) {
+    writes.push(callback);
+    scheduleFrame();
+}
+
+// One failing callback doesn't stop the rest of the frame
+function run(callback, ...args) {
+    try {
+        callback(...args);
+    } catch (error) {
+        console.error('variablur: error in a frame callback:', error);
+    }
+}
+
+function runFrame(now) {
+    handle = null;
+    step = 'frame';
+    const callbacks = Array.from(frameCallbacks.values());
+    frameCallbacks.clear();
+    callbacks.forEach(callback => run(callback, now));
+    step = 'read';
+    while (reads.length) {
+        const batch = reads;
+        reads = [];
+        batch.forEach(callback => run(callback));
+    }
+    step = 'write';
+    while (writes.length) {
+        const batch = writes;
+        writes = [];
+        batch.forEach(callback => run(callback));
+    }
+    step = null;
+    if (frameCallbacks.size || reads.length || writes.length) scheduleFrame();
+}
+
+// Calls `listener({ element, renderer, layers, read, write })` after each
+// update, with the time spent reading and writing in ms. Returns a function
+// that stops the reports.
+function profile(listener) {
+    if (typeof listener !== 'function') throw new Error('The listener must be a function');
+    profilers.add(listener);
+    return () => profilers.delete(listener);
+}
+
+function profiling() {
+    return profilers.size > 0;
+}
+
+function reportProfile(entry) {
+    profilers.forEach(listener => run(listener, entry));
+}
+
+export { requestFrame, cancelFrame, measure, mutate, profile, profiling, reportProfile };
@@ -0,0 +1,131 @@
+// Scroll-linked blur: maps the scroll position of a source element to how
+// much of the configured effect is applied.
+// --variablur-scroll-source: nearest | root | <selector>, optionally followed by x or y
+// --variablur-scroll-range:  scroll offsets where the effect starts and ends (default: 0px 100%)
+// --variablur-scroll-output: amount of the effect at those offsets (default: 0 1)
+// --variablur-scroll-target: filter, offset and/or color (default: filter)
+
+import parseCalcRelative, { splitTopLevel } from './calc.js';
+import { interpolateConfig } from './animate.js';
+import { requestFrame, cancelFrame } from './scheduler.js';
+
+const TARGETS = ['filter', 'offset', 'color'];
+// What each target looks like with none of the effect applied
+const ZERO = { filter: '', offset: '0px', color: 'transparent' };
+
+function parseScrollSettings(config) {
+    const source = splitTopLevel((config.scrollSource || '').trim(), ' ');
+    if (!source.length || source[0] === 'none') return null;
+    const axis = source[1] === 'x' || source[1] === 'inline' ? 'x' : 'y';
+    const range = splitTopLevel((config.scrollRange || '').trim() || '0px 100%', ' ');
+    const output = splitTopLevel((config.scrollOutput || '').trim() || '0 1', ' ').map(parseFloat);
+    if (range.length !== 2) throw new Error(`Invalid --variablur-scroll-range: ${config.scrollRange}`);
+    if (output.length !== 2 || output.some(isNaN)) throw new Error(`Invalid --variablur-scroll-output: ${config.scrollOutput}`);
+    const targets = ((config.scrollTarget || '').trim() || 'filter').split(/[\s,]+/).filter(Boolean);
+    targets.forEach(target => {
+        if (!TARGETS.includes(target)) throw new Error(`Invalid --variablur-scroll-target: ${target}`);
+    });
+    return { source: source[0], axis, range, output, targets };
+}
+
+function isScrollable(node, axis) {
+    const style = window.getComputedStyle(node);
+    const overflow = axis === 'x' ? style.overflowX : style.overflowY;
+    return /(auto|scroll|overlay)/.test(overflow);
+}
+
+// The element whose scroll position is read. The document's scrolling
+// element stands for the root.
+function findScrollSource(el, settings) {
+    if (settings.source === 'root') return document.scrollingElement || document.documentElement;
+    if (settings.source === 'nearest') {
+        let parent = el.parentElement;
+        while (parent && parent !== document.body && parent !== document.documentElement) {
+            if (isScrollable(parent, settings.axis)) return parent;
+            parent = parent.parentElement;
+        }
+        return document.scrollingElement || document.documentElement;
+    }
+    const source = document.querySelector(settings.source);
+    if (!source) throw new Error(`Scroll source not found: ${settings.source}`);
+    return source;
+}
+
+function isRootScroller(source) {
+    return source === document.scrollingElement || source === document.documentElement || source === document.body;
+}
+
+function maxScroll(source, axis) {
+    return axis === 'x' ? source.scrollWidth - source.clientWidth : source.scrollHeight - source.clientHeight;
+}
+
+// Scroll range in px; percentages are relative to the scrollable distance
+function resolveRange(source, settings) {
+    const max = maxScroll(source, settings.axis);
+    return settings.range.map(value => parseCalcRelative(value, source, settings.axis === 'x' ? 0 : 1, max));
+}
+
+// Amount of the effect at the given scroll position
+function scrollAmount(position, range, output) {
+    const [start, end] = range;
+    const progress = end === start ? (position >= end ? 1 : 0) : (position - start) / (end - start);
+    const clamped = Math.max(0, Math.min(1, progress));
+    return output[0] + (output[1] - output[0]) * clamped;
+}
+
+function scrollPosition(source, axis) {
+    if (isRootScroller(source)) return axis === 'x' ? window.scrollX : window.scrollY;
+    return axis === 'x' ? source.scrollLeft : source.scrollTop;
+}
+
+// The configuration with `amount` (0-1) of the targeted settings applied
+function scrolledConfig(config, targets, amount) {
+    const zero = Object.assign({}, config);
+    targets.forEach(target => {
+        zero[target] = ZERO[target];
+    });
+    return interpolateConfig(zero, config, Math.max(0, Math.min(1, amount)));
+}
+
+// Calls `onScroll` at most once per frame while the source scrolls.
+// Returns a function that removes the listener.
+function listenToScroll(source, onScroll) {
+    const target = isRootScroller(source) ? window : source;
+    let handle = null;
+    const handler = () => {
+        if (handle) return;
+        handle = requestFrame(() => {
+            handle = null;
+            onScroll();
+        });
+    };
+    target.addEventListener('scroll', handler, { passive: true });
+    return () => {
+        target.removeEventListener('scroll', handler);
+        if (handle) cancelFrame(handle);
+    };
+}
+
+function supportsScrollTimeline() {
+    return typeof window !== 'undefined' && typeof window.ScrollTimeline === 'function';
+}
+
+function createScrollTimeline(source, axis) {
+    return new window.ScrollTimeline({
+        source: isRootScroller(source) ? document.documentElement : source,
+        axis: axis === 'x' ? 'x' : 'y'
+    });
+}
+
+export {
+    parseScrollSettings,
+    findScrollSource,
+    resolveRange,
+    maxScroll,
+    scrollAmount,
+    scrollPosition,
+    scrolledConfig,
+    listenToScroll,
+    supportsScrollTimeline,
+    createScrollTimeline
+};
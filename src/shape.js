@@ -0,0 +1,212 @@
+// Outline of an element for the glass refraction map: its border-radius
+// (four elliptical corners) or a basic clip-path shape. Shapes are plain
+// objects in px, relative to the element's border box:
+//   { type: 'rect', x, y, width, height, radii: [[rx, ry] x4] }  (top-left, top-right, bottom-right, bottom-left)
+//   { type: 'ellipse', cx, cy, rx, ry }
+//   { type: 'polygon', points: [[x, y], ...] }
+
+import parseCalcRelative, { splitTopLevel } from './calc.js';
+
+const CORNERS = ['TopLeft', 'TopRight', 'BottomRight', 'BottomLeft'];
+
+function length(value, el, basis) {
+    return parseCalcRelative(value, el, 0, basis);
+}
+
+// CSS shrinks all radii by the same factor when adjacent ones overlap,
+// which is what turns `border-radius: 9999px` into a pill
+function scaleRadii(radii, width, height) {
+    const [tl, tr, br, bl] = radii;
+    const factor = Math.min(
+        1,
+        width / (tl[0] + tr[0] || 1),
+        width / (bl[0] + br[0] || 1),
+        height / (tl[1] + bl[1] || 1),
+        height / (tr[1] + br[1] || 1)
+    );
+    return radii.map(([rx, ry]) => [Math.max(0, rx * factor), Math.max(0, ry * factor)]);
+}
+
+function roundedRect(x, y, width, height, radii) {
+    return { type: 'rect', x, y, width, height, radii: scaleRadii(radii, width, height) };
+}
+
+// A shape with the same radius in every corner
+function uniformShape(width, height, radius = 0) {
+    return roundedRect(0, 0, width, height, CORNERS.map(() => [radius, radius]));
+}
+
+// `10px`, `10px 20px` (horizontal, vertical) or percentages of the box
+function parseCornerRadius(value, el, width, height) {
+    const parts = splitTopLevel(String(value || '0').trim() || '0', ' ');
+    return [length(parts[0], el, width), length(parts[1] || parts[0], el, height)];
+}
+
+// Expands 1-4 values to top-left, top-right, bottom-right, bottom-left
+// (or top, right, bottom, left), like the CSS shorthands
+function expandBox(parts) {
+    const [a, b = a, c = a, d = b] = parts;
+    return [a, b, c, d];
+}
+
+// The `round` part of inset(): `8px`, `8px 16px`, `10px 20px / 5px`, ...
+function parseRadiusShorthand(value, el, width, height) {
+    const [horizontal, vertical = horizontal] = value.split('/').map(part => expandBox(splitTopLevel(part.trim(), ' ')));
+    return horizontal.map((rx, i) => [length(rx, el, width), length(vertical[i], el, height)]);
+}
+
+function resolvePosition(value, el, size, keywords) {
+    if (value in keywords) return size * keywords[value];
+    return length(value, el, size);
+}
+
+// `at 50% 50%`, `at left 20px`, ... as [x, y]
+function parseAt(value, el, width, height) {
+    const parts = splitTopLevel((value || '').trim() || 'center', ' ');
+    let [x, y] = parts.length === 1 ? [parts[0], 'center'] : parts;
+    if (x === 'top' || x === 'bottom' || y === 'left' || y === 'right') [x, y] = [y, x];
+    return [
+        resolvePosition(x, el, width, { left: 0, center: 0.5, right: 1 }),
+        resolvePosition(y, el, height, { top: 0, center: 0.5, bottom: 1 })
+    ];
+}
+
+// closest-side (default), farthest-side or a length along one axis
+function shapeRadius(value, el, basis, sides) {
+    if (!value || value === 'closest-side') return Math.min(...sides);
+    if (value === 'farthest-side') return Math.max(...sides);
+    return length(value, el, basis);
+}
+
+// `50% at 20px 30px` -> [['50%'], '20px 30px']
+function splitAt(args) {
+    const parts = splitTopLevel(args, ' ');
+    const index = parts.indexOf('at');
+    return index === -1 ? [parts, ''] : [parts.slice(0, index), parts.slice(index + 1).join(' ')];
+}
+
+// inset(), circle(), ellipse() and polygon(). Returns null for other values
+// (none, url(), path(), ...) so the border-radius applies instead.
+function parseClipPath(value, el, width, height) {
+    const match = /^(inset|circle|ellipse|polygon)\((.*)\)(?:\s+[a-z-]+)?$/i.exec(String(value || '').trim());
+    if (!match) return null;
+    const name = match[1].toLowerCase();
+    const args = match[2].trim();
+    if (name === 'inset') {
+        const [box, round] = args.split(/\s+round\s+/);
+        const [top, right, bottom, left] = expandBox(splitTopLevel(box, ' '));
+        const x = length(left, el, width);
+        const y = length(top, el, height);
+        const w = width - x - length(right, el, width);
+        const h = height - y - length(bottom, el, height);
+        const radii = round ? parseRadiusShorthand(round, el, w, h) : CORNERS.map(() => [0, 0]);
+        return roundedRect(x, y, w, h, radii);
+    }
+    if (name === 'circle' || name === 'ellipse') {
+        const [radius, at] = splitAt(args);
+        const [cx, cy] = parseAt(at, el, width, height);
+        const horizontal = [cx, width - cx];
+        const vertical = [cy, height - cy];
+        if (name === 'circle') {
+            // Percentages are relative to the diagonal divided by sqrt(2)
+            const r = shapeRadius(radius[0], el, Math.hypot(width, height) / Math.SQRT2, [...horizontal, ...vertical]);
+            return { type: 'ellipse', cx, cy, rx: r, ry: r };
+        }
+        return {
+            type: 'ellipse',
+            cx,
+            cy,
+            rx: shapeRadius(radius[0], el, width, horizontal),
+            ry: shapeRadius(radius[1], el, height, vertical)
+        };
+    }
+    const points = splitTopLevel(args, ',').filter(point => !/^(nonzero|evenodd)$/i.test(point));
+    return {
+        type: 'polygon',
+        points: points.map(point => {
+            const [x, y] = splitTopLevel(point, ' ');
+            return [length(x, el, width), length(y, el, height)];
+        })
+    };
+}
+
+// The shape of the element: its clip-path if it's a basic shape, otherwise
+// its border box with the border-radius of each corner
+function readGlassShape(el, width, height) {
+    const style = window.getComputedStyle(el);
+    const clipPath = parseClipPath(style.clipPath, el, width, height);
+    if (clipPath) return clipPath;
+    const radii = CORNERS.map(corner => parseCornerRadius(style[`border${corner}Radius`], el, width, height));
+    return roundedRect(0, 0, width, height, radii);
+}
+
+// Distance inside an ellipse (negative outside) and its outward normal.
+// Uses the first-order estimate (1 - f) / |grad f|, which is exact for circles.
+function ellipseDistance(px, py, cx, cy, rx, ry) {
+    if (rx <= 0 || ry <= 0) return { distance: -Infinity, nx: 0, ny: 0 };
+    const dx = px - cx;
+    const dy = py - cy;
+    const f = Math.hypot(dx / rx, dy / ry);
+    const gx = dx / (rx * rx);
+    const gy = dy / (ry * ry);
+    const g = Math.hypot(gx, gy);
+    if (g === 0) return { distance: Math.min(rx, ry), nx: 0, ny: 0 };
+    return { distance: (1 - f) * f / g, nx: gx / g, ny: gy / g };
+}
+
+function rectDistance(shape, px, py) {
+    const { x, y, width, height, radii } = shape;
+    const [tl, tr, br, bl] = radii;
+    const right = x + width;
+    const bottom = y + height;
+    // Inside the box of a rounded corner, the outline is that corner's ellipse
+    if (px < x + tl[0] && py < y + tl[1]) return ellipseDistance(px, py, x + tl[0], y + tl[1], tl[0], tl[1]);
+    if (px > right - tr[0] && py < y + tr[1]) return ellipseDistance(px, py, right - tr[0], y + tr[1], tr[0], tr[1]);
+    if (px > right - br[0] && py > bottom - br[1]) return ellipseDistance(px, py, right - br[0], bottom - br[1], br[0], br[1]);
+    if (px < x + bl[0] && py > bottom - bl[1]) return ellipseDistance(px, py, x + bl[0], bottom - bl[1], bl[0], bl[1]);
+    const edges = [
+        { distance: py - y, nx: 0, ny: -1 },
+        { distance: right - px, nx: 1, ny: 0 },
+        { distance: bottom - py, nx: 0, ny: 1 },
+        { distance: px - x, nx: -1, ny: 0 }
+    ];
+    return edges.reduce((closest, edge) => edge.distance < closest.distance ? edge : closest);
+}
+
+function polygonDistance(points, px, py) {
+    let inside = false;
+    let best = Infinity;
+    let qx = 0;
+    let qy = 0;
+    for (let i = 0; i < points.length; i++) {
+        const [ax, ay] = points[i];
+        const [bx, by] = points[(i + 1) % points.length];
+        if ((ay > py) !== (by > py) && px < (bx - ax) * (py - ay) / (by - ay) + ax) inside = !inside;
+        // Closest point on this edge
+        const ex = bx - ax;
+        const ey = by - ay;
+        const len2 = ex * ex + ey * ey;
+        const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * ex + (py - ay) * ey) / len2)) : 0;
+        const d = Math.hypot(ax + t * ex - px, ay + t * ey - py);
+        if (d < best) {
+            best = d;
+            qx = ax + t * ex;
+            qy = ay + t * ey;
+        }
+    }
+    if (!(best > 0)) return { distance: 0, nx: 0, ny: 0 };
+    // The outward normal points from the pixel to the outline when inside
+    const sign = inside ? 1 : -1;
+    return { distance: sign * best, nx: sign * (qx - px) / best, ny: sign * (qy - py) / best };
+}
+
+// Signed distance from (px, py) to the outline, positive inside, and the
+// outward unit normal of the closest part of the outline
+function shapeDistance(shape, px, py) {
+    if (shape.type === 'ellipse') return ellipseDistance(px, py, shape.cx, shape.cy, shape.rx, shape.ry);
+    if (shape.type === 'polygon') return polygonDistance(shape.points, px, py);
+    return rectDistance(shape, px, py);
+}
+
+export { readGlassShape, parseClipPath, uniformShape, shapeDistance };
+export default readGlassShape;
@@ -0,0 +1,40 @@
+// Feature detection for picking a renderer and for support()
+
+function supportsCSS(property, value) {
+    return typeof CSS !== 'undefined' && typeof CSS.supports === 'function' && CSS.supports(property, value);
+}
+
+function supportsBackdropFilter() {
+    return supportsCSS('backdrop-filter', 'blur(1px)') || supportsCSS('-webkit-backdrop-filter', 'blur(1px)');
+}
+
+function supportsMaskImage() {
+    return supportsCSS('mask-image', 'linear-gradient(black, black)') || supportsCSS('-webkit-mask-image', 'linear-gradient(black, black)');
+}
+
+// Only Chromium renders SVG url() filters in backdrop-filter. Other browsers
+// accept the value in CSS.supports() and then draw nothing, so this has to
+// look at the browser itself.
+function supportsBackdropFilterUrl() {
+    if (!supportsBackdropFilter() || typeof navigator === 'undefined') return false;
+    const brands = navigator.userAgentData && navigator.userAgentData.brands;
+    if (brands) return brands.some(({ brand }) => brand === 'Chromium');
+    // Chrome on iOS says CriOS and is WebKit underneath
+    return /\bChrom(e|ium)\//.test(navigator.userAgent);
+}
+
+// What this browser can do, as a plain object of booleans
+function support() {
+    const offscreenCanvas = typeof OffscreenCanvas !== 'undefined';
+    return {
+        backdropFilter: supportsCSS('backdrop-filter', 'blur(1px)'),
+        webkitBackdropFilter: supportsCSS('-webkit-backdrop-filter', 'blur(1px)'),
+        maskImage: supportsCSS('mask-image', 'linear-gradient(black, black)'),
+        webkitMaskImage: supportsCSS('-webkit-mask-image', 'linear-gradient(black, black)'),
+        svgBackdropFilter: supportsBackdropFilterUrl(),
+        offscreenCanvas,
+        convertToBlob: offscreenCanvas && typeof OffscreenCanvas.prototype.convertToBlob === 'function'
+    };
+}
+
+export { support, supportsCSS, supportsBackdropFilter, supportsBackdropFilterUrl, supportsMaskImage };
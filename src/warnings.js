@@ -0,0 +1,19 @@
+// Warnings about invalid values. Values are read again on every update, which
+// runs each frame while scrolling or transitioning, so a warning is only
+// repeated for an element once its message (with the value in it) changes.
+
+// el -> Map of name -> last reported message
+const reported = new WeakMap();
+
+function warnInvalid(el, name, message) {
+    let messages = reported.get(el);
+    if (!messages) {
+        messages = new Map();
+        reported.set(el, messages);
+    }
+    if (messages.get(name) === message) return;
+    messages.set(name, message);
+    console.warn(`variablur: invalid ${name}:`, message, el);
+}
+
+export { warnInvalid };
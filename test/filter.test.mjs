@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterConverter } from '../src/filter.js';
+
+const roundTrip = value => filterConverter.toString(filterConverter.fromString(value));
+
+test('numbers are written back as written', () => {
+    for (const value of ['blur(.5px)', 'blur(1e1px)', 'blur(+2px)', 'opacity(.50)', 'hue-rotate(-.25TURN)', 'brightness(1.)']) {
+        assert.equal(roundTrip(value), value);
+    }
+});
+
+test('names, units and other arguments are written back as written', () => {
+    const value = 'BLUR(10PX) drop-shadow(0 0 4px rgba(0,0,0,.5)) url(#glass) custom(a, b) blur()';
+    assert.equal(roundTrip(value), value);
+});
+
+test('parsed values are numbers', () => {
+    assert.deepEqual(filterConverter.fromString('blur(.5px) blur(1e1px) blur(+2px) opacity(.5)'), [
+        ['blur', 0.5, 'px', '.5px'],
+        ['blur', 10, 'px', '1e1px'],
+        ['blur', 2, 'px', '+2px'],
+        ['opacity', 0.5, undefined, '.5']
+    ]);
+});
+
+test('changed values are written out in full', () => {
+    const list = filterConverter.fromString('blur(.5px) opacity(50%)');
+    list[0][1] = 1.5;
+    list[1][2] = undefined;
+    assert.equal(filterConverter.toString(list), 'blur(1.5px) opacity(50)');
+});
+
+test('normalize() converts numbers and drops the text as written', () => {
+    assert.deepEqual(filterConverter.normalize(filterConverter.fromString('BLUR(.5PX) hue-rotate(.5turn) opacity(+50%)')), [
+        ['blur', 0.5, 'px'],
+        ['hue-rotate', 180, 'deg'],
+        ['opacity', 0.5]
+    ]);
+});
@@ -0,0 +1,4 @@
+import type { Variablur } from './variablur';
+
+declare const variablur: Variablur;
+export = variablur;
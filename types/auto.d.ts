@@ -0,0 +1,3 @@
+// The package root: the core's API, attached automatically (src/variablur.js)
+export * from './core';
+export { default } from './core';
@@ -0,0 +1,59 @@
+import type { Variablur } from './variablur';
+
+// Only what src/core.js exports; RefractionEditor and the lens and shape
+// helpers are in ./glass
+export {
+    calcBlurPerLayer,
+    exponentialBlurLayers,
+    easedBlurLayers,
+    parseEasing,
+    parseCalcRelative,
+    CalcError,
+    calculateMask,
+    filterConverter,
+    CSS_VARIABLES,
+    attach,
+    detach,
+    getInstance,
+    animateTo,
+    update,
+    hasAnyVariablurCSS,
+    startPolling,
+    stopPolling,
+    startElementPolling,
+    stopElementPolling,
+    startObserving,
+    stopObserving,
+    createGlassSVGFilter,
+    glassReady,
+    registerRenderer,
+    support,
+    on,
+    off,
+    profile,
+    calculateRefractionMap,
+    renderIntoShadowRoot,
+    attachExistingElements,
+    VariablurInstance
+} from './variablur';
+export type {
+    FilterEntry,
+    FilterList,
+    Easing,
+    VariablurOptions,
+    VariablurConfig,
+    TransitionTiming,
+    LayerStyle,
+    Renderer,
+    SupportReport,
+    FilterConverter,
+    GlassShape,
+    LensOptions,
+    VariablurEventDetails,
+    VariablurEventType,
+    VariablurEvent,
+    VariablurProfileEntry,
+    Variablur
+} from './variablur';
+declare const variablur: Variablur;
+export default variablur;
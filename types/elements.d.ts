@@ -0,0 +1,14 @@
+export declare class VariablurLayerElement extends HTMLElement {
+    static readonly observedAttributes: string[];
+}
+export declare class VariablurGlassElement extends VariablurLayerElement {}
+/** Registers <variablur-layer> and <variablur-glass>, unless they already are */
+export declare function defineElements(): void;
+export default defineElements;
+
+declare global {
+    interface HTMLElementTagNameMap {
+        'variablur-layer': VariablurLayerElement;
+        'variablur-glass': VariablurGlassElement;
+    }
+}
@@ -0,0 +1,30 @@
+export {
+    createGlassSVGFilter,
+    glassReady,
+    RefractionEditor,
+    calculateRefractionMap,
+    GlassShape,
+    LensOptions,
+    DisplacementFunction,
+    RampDirection
+} from './variablur';
+import type { GlassShape, LensOptions } from './variablur';
+
+export interface RefractionMapParams {
+    refraction: number;
+    width: number;
+    height: number;
+    shape?: number | GlassShape;
+    offset?: number;
+    lens?: LensOptions;
+}
+
+export declare function renderRefractionMap(params: RefractionMapParams): Promise<Blob>;
+export declare function lensFunction(profile: string, refraction: number, bezel: number, thickness: number): (distance: number) => number;
+export declare function lensDisplacement(profile: string, distance: number, bezel: number, thickness: number, index: number): number;
+export declare function surfaceHeight(profile: string, x: number): number;
+export declare function isLensProfile(name: string): boolean;
+export declare function readGlassShape(element: Element, width: number, height: number): GlassShape;
+export declare function parseClipPath(value: string, element: Element, width: number, height: number): GlassShape | null;
+export declare function uniformShape(width: number, height: number, radius?: number): GlassShape;
+export declare function shapeDistance(shape: GlassShape, x: number, y: number): { distance: number; nx: number; ny: number };
@@ -0,0 +1,29 @@
+export {
+    calcBlurPerLayer,
+    exponentialBlurLayers,
+    easedBlurLayers,
+    parseEasing,
+    parseCalcRelative,
+    CalcError,
+    calculateMask,
+    filterConverter,
+    Easing,
+    FilterEntry,
+    FilterList,
+    FilterConverter
+} from './variablur';
+import type { Easing, VariablurConfig } from './variablur';
+
+export declare function cubicBezier(x1: number, y1: number, x2: number, y2: number): Easing;
+export declare function steps(count: number, position?: 'jump-start' | 'jump-end' | 'jump-none' | 'jump-both' | 'start' | 'end'): Easing;
+export declare function linear(x: number): number;
+export declare function splitTopLevel(str: string, separator?: string): string[];
+export declare function calculateTopMask(direction: string, offset: unknown, el: Element, easing?: Easing | null, shape?: object): string;
+/** [r, g, b, a] with r, g, b in 0-255 and a in 0-1 */
+export type Color = [number, number, number, number];
+export declare function parseColor(value: string): Color | null;
+export declare function formatColor(color: Color): string;
+export declare function mixColors(from: Color, to: Color, t: number): Color;
+export declare function interpolateConfig(from: VariablurConfig, to: VariablurConfig, t: number): VariablurConfig;
+export declare function interpolateFilters(from: string, to: string, t: number): string;
+export declare function parseTransition(value: string): { duration: number; easing: Easing } | null;
@@ -0,0 +1,13 @@
+import type { ElementType, ForwardRefExoticComponent, HTMLAttributes, RefAttributes, RefObject, MutableRefObject } from 'react';
+import type { VariablurInstance, VariablurOptions } from './variablur';
+
+export declare function useVariablur(ref: RefObject<Element | null>, options?: VariablurOptions): MutableRefObject<VariablurInstance | null>;
+
+export interface VariablurProps extends HTMLAttributes<HTMLElement> {
+    /** Element to render, default `div` */
+    as?: ElementType;
+    options?: VariablurOptions;
+}
+
+export declare const Variablur: ForwardRefExoticComponent<VariablurProps & RefAttributes<HTMLElement>>;
+export default Variablur;
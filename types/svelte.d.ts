@@ -0,0 +1,7 @@
+import type { VariablurOptions } from './variablur';
+
+export declare function variablur(node: Element, options?: VariablurOptions): {
+    update(options?: VariablurOptions): void;
+    destroy(): void;
+};
+export default variablur;
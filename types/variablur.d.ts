@@ -0,0 +1,240 @@
+// Shared declarations for the entry points in this folder
+
+/** Filter functions as `[name, value, unit, text]` (`text` is the argument as written), or `[name, args]` for functions like `url()` */
+export type FilterEntry = [name: string, value?: number | string, unit?: string, text?: string];
+export type FilterList = FilterEntry[];
+
+export type Easing = (t: number) => number;
+
+/**
+ * Options of attach(), set() and animateTo(). Each overrides the CSS variable
+ * of the same name (`glassRefraction` -> `--variablur-glass-refraction`);
+ * null or undefined removes the override so the CSS value applies again.
+ */
+export interface VariablurOptions {
+    filter?: string | FilterList | null;
+    direction?: string | null;
+    /** Number = px */
+    offset?: string | number | null;
+    layers?: string | number | null;
+    color?: string | null;
+    glassRefraction?: string | number | null;
+    /** Number = px */
+    glassOffset?: string | number | null;
+    /** Number = px */
+    glassThickness?: string | number | null;
+    glassProfile?: 'legacy' | 'squircle' | 'circle' | 'flat' | (string & {}) | null;
+    glassDispersion?: string | number | null;
+    /** Number = deg */
+    glassLightAngle?: string | number | null;
+    glassLightIntensity?: string | number | null;
+    /** Number = px */
+    glassRimWidth?: string | number | null;
+    easing?: string | Easing | null;
+    center?: string | null;
+    radius?: string | null;
+    transition?: string | null;
+    scrollSource?: string | null;
+    scrollRange?: string | null;
+    scrollOutput?: string | null;
+    scrollTarget?: string | null;
+    renderer?: 'auto' | 'dom' | 'canvas' | (string & {}) | null;
+    /** Selector of, or the element for, the image, video or canvas behind the element */
+    background?: string | HTMLImageElement | HTMLVideoElement | HTMLCanvasElement | null;
+    fallback?: string | null;
+    reducedTransparency?: string | null;
+    reducedMotion?: 'auto' | 'ignore' | null;
+    forcedColors?: 'auto' | 'ignore' | null;
+}
+
+/** The effective configuration: every option as a string (the easing may be a function) */
+export type VariablurConfig = { [K in keyof VariablurOptions]-?: K extends 'easing' ? string | Easing : K extends 'background' ? string | Element : string };
+
+export interface TransitionTiming {
+    /** ms, default 300 */
+    duration?: number;
+    easing?: string | Easing;
+}
+
+export declare class VariablurInstance {
+    readonly element: Element;
+    set(options: VariablurOptions): this;
+    get(): VariablurConfig;
+    get<K extends keyof VariablurConfig>(key: K): VariablurConfig[K];
+    refresh(): this;
+    /** Resolves with true when finished, false when interrupted */
+    animateTo(options: VariablurOptions, timing?: TransitionTiming): Promise<boolean>;
+    glassReady(): Promise<string | null>;
+    destroy(): void;
+}
+
+export interface LayerStyle {
+    backdropFilter: string;
+    maskImage: string;
+    backgroundColor: string;
+}
+
+export interface Renderer {
+    name: string;
+    render(el: Element, container: HTMLElement, styles: LayerStyle[], config: VariablurConfig): void;
+    supports?(el: Element, config: VariablurConfig): boolean;
+    unsupported?(el: Element, config: VariablurConfig): string[];
+    applyGlass?(el: Element, container: HTMLElement, filterId: string | null, baseFilter?: string): void;
+    destroy?(el: Element, container: HTMLElement): void;
+}
+
+export interface SupportReport {
+    backdropFilter: boolean;
+    webkitBackdropFilter: boolean;
+    maskImage: boolean;
+    webkitMaskImage: boolean;
+    svgBackdropFilter: boolean;
+    offscreenCanvas: boolean;
+    convertToBlob: boolean;
+}
+
+export interface FilterConverter {
+    /** Names, numbers and units are kept as written */
+    fromString(filter: string): FilterList;
+    toString(list: FilterList): string;
+    /** Lowercase names and units, angles to deg, percentages to numbers, blur to px; drops the text as written */
+    normalize(list: FilterList): FilterList;
+}
+
+export declare class CalcError extends Error {}
+
+export type GlassShape =
+    | { type: 'rect'; x: number; y: number; width: number; height: number; radii: [number, number][] }
+    | { type: 'ellipse'; cx: number; cy: number; rx: number; ry: number }
+    | { type: 'polygon'; points: [number, number][] };
+
+export interface LensOptions {
+    profile?: 'legacy' | 'squircle' | 'circle' | 'flat';
+    thickness?: number;
+    rimWidth?: number;
+}
+
+/** Displacement at pixel (x, y) of a dw x dh rectangle */
+export type DisplacementFunction = (x: number, y: number, width: number, height: number) => number;
+/** Where a displacement ramp grows towards; unknown values act like `down` */
+export type RampDirection = 'down' | 'up' | 'top' | 'left' | 'right' | (string & {});
+
+export declare class RefractionEditor {
+    constructor(width: number, height: number, shape?: number | GlassShape);
+    width: number;
+    height: number;
+    shape: GlassShape;
+    imageData: ImageData;
+    static linearToSRGB(x: number): number;
+    static sRGBToLinear(x: number): number;
+    static fromLinearImageData(imageData: ImageData): ImageData;
+    static toLinearImageData(imageData: ImageData): ImageData;
+    /** Adds a displacement ramp over a rectangle; `vx`/`vy` are -1 to 1, or computed per pixel */
+    addTransformation(vx: number | DisplacementFunction, vy: number | DisplacementFunction, direction: RampDirection, dx: number, dy: number, dw: number, dh: number, easing?: Easing): void;
+    getBorderNormalAndDistance(x: number, y: number): { nx: number; ny: number; distToBorder: number };
+    applyBorderRadiusRefraction(refractionStrength: number, borderWidth: number, falloff?: (d: number) => number): void;
+    applyLensRefraction(lens: (distance: number) => number, borderWidth: number): void;
+    applyLegacyRefraction(refraction: number, blurRadius: number): void;
+    applyHeightMap(height: (x: number) => number, rimWidth: number): void;
+    getImageData(): ImageData;
+}
+
+export declare function calcBlurPerLayer(totalPx: number, layers: number): number;
+export declare function exponentialBlurLayers(totalPx: number, layers: number, base?: number): number[];
+export declare function easedBlurLayers(totalPx: number, layers: number, easing: Easing): number[];
+export declare function parseEasing(value: string | Easing | null | undefined): Easing | null;
+/** `element` resolves %, em and width/height; `axis` picks the size % is relative to */
+export declare function parseCalcRelative(value: string, element: Element, axis?: 0 | 1, percentBasis?: number): number;
+export declare function calculateMask(i: number, n: number, direction: string, offset: unknown, el: Element, invert?: boolean, easing?: Easing | null, shape?: object): string;
+/** `detail` of each event, dispatched on the element as `variablur:<type>` */
+export interface VariablurEventDetails {
+    attach: { config: VariablurConfig };
+    update: { config: VariablurConfig };
+    'glass-ready': { config: VariablurConfig; filterId: string };
+    detach: { config: VariablurConfig | undefined };
+    error: { config: VariablurConfig; error: unknown };
+}
+
+export type VariablurEventType = keyof VariablurEventDetails;
+export type VariablurEvent<T extends VariablurEventType = VariablurEventType> = CustomEvent<VariablurEventDetails[T]>;
+
+declare global {
+    interface HTMLElementEventMap {
+        'variablur:attach': VariablurEvent<'attach'>;
+        'variablur:update': VariablurEvent<'update'>;
+        'variablur:glass-ready': VariablurEvent<'glass-ready'>;
+        'variablur:detach': VariablurEvent<'detach'>;
+        'variablur:error': VariablurEvent<'error'>;
+    }
+}
+
+/** One update, reported to profile() listeners; times in ms */
+export interface VariablurProfileEntry {
+    element: Element;
+    /** Name of the renderer, null when nothing is rendered (forced colors) */
+    renderer: string | null;
+    layers: number;
+    read: number;
+    write: number;
+}
+
+export declare const filterConverter: FilterConverter;
+export declare const CSS_VARIABLES: string[];
+
+export declare function attach(element: Element, options?: VariablurOptions): VariablurInstance;
+export declare function detach(element: Element): void;
+export declare function getInstance(element: Element): VariablurInstance;
+export declare function animateTo(element: Element, options: VariablurOptions, timing?: TransitionTiming): Promise<boolean>;
+export declare function update(element: Element): void;
+export declare function hasAnyVariablurCSS(element: Node): boolean;
+export declare function startPolling(): void;
+export declare function stopPolling(): void;
+export declare function startElementPolling(element: Element): void;
+export declare function stopElementPolling(element: Element): void;
+export declare function startObserving(): void;
+export declare function stopObserving(): void;
+export declare function attachExistingElements(root?: Element): void;
+export declare function createGlassSVGFilter(element: Element, config?: VariablurConfig): Promise<{ svgString: string; filterId: string }>;
+export declare function glassReady(element: Element): Promise<string | null>;
+export declare function registerRenderer(renderer: Renderer): void;
+export declare function support(): SupportReport;
+/** Listens to an event of every element; returns a function that stops listening */
+export declare function on<T extends VariablurEventType>(type: T, listener: (event: VariablurEvent<T>) => void): () => void;
+export declare function off<T extends VariablurEventType>(type: T, listener: (event: VariablurEvent<T>) => void): void;
+/** Reports the cost of every update; returns a function that stops the reports */
+export declare function profile(listener: (entry: VariablurProfileEntry) => void): () => void;
+export declare function renderIntoShadowRoot(element: Element): void;
+export declare function calculateRefractionMap(refraction: number, width: number, height: number, shape?: number | GlassShape, offset?: number, lens?: LensOptions): ImageData;
+
+/** The API object of the browser bundle (`window.variablur`) and of the default exports */
+export interface Variablur {
+    calcBlurPerLayer: typeof calcBlurPerLayer;
+    exponentialBlurLayers: typeof exponentialBlurLayers;
+    easedBlurLayers: typeof easedBlurLayers;
+    parseEasing: typeof parseEasing;
+    parseCalcRelative: typeof parseCalcRelative;
+    CalcError: typeof CalcError;
+    calculateMask: typeof calculateMask;
+    filterConverter: FilterConverter;
+    CSS_VARIABLES: string[];
+    attach: typeof attach;
+    detach: typeof detach;
+    getInstance: typeof getInstance;
+    animateTo: typeof animateTo;
+    update: typeof update;
+    hasAnyVariablurCSS: typeof hasAnyVariablurCSS;
+    startPolling: typeof startPolling;
+    stopPolling: typeof stopPolling;
+    startElementPolling: typeof startElementPolling;
+    stopElementPolling: typeof stopElementPolling;
+    startObserving: typeof startObserving;
+    stopObserving: typeof stopObserving;
+    createGlassSVGFilter: typeof createGlassSVGFilter;
+    glassReady: typeof glassReady;
+    registerRenderer: typeof registerRenderer;
+    support: typeof support;
+    on: typeof on;
+    off: typeof off;
+    profile: typeof profile;
+    calculateRefractionMap: typeof calculateRefractionMap;
+}
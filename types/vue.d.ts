@@ -0,0 +1,12 @@
+import type { VariablurOptions } from './variablur';
+
+export interface VariablurDirective {
+    mounted(el: Element, binding: { value?: VariablurOptions | null }): void;
+    updated(el: Element, binding: { value?: VariablurOptions | null; oldValue?: VariablurOptions | null }): void;
+    beforeUnmount(el: Element): void;
+}
+
+export declare const vVariablur: VariablurDirective;
+/** `app.use(VariablurPlugin)` registers v-variablur */
+export declare const VariablurPlugin: { install(app: { directive(name: string, directive: VariablurDirective): unknown }): void };
+export default VariablurPlugin;
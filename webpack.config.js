@@ -1,31 +1,98 @@
 const path = require('path');
-module.exports = {
-  entry: './src/variablur.js',
-  output: {
-    filename: 'variablur.js',
-    path: path.resolve(__dirname, 'dist'),
-    library: 'variablur',
-    libraryTarget: 'umd',
-    libraryExport: 'default',
-    globalObject: 'this'
-  },
-  module: {
-    rules: [
-      {
-        test: /\.js$/,
-        exclude: /node_modules/,
-        use: {
-          loader: 'babel-loader',
-          options: {
-            presets: [
-              ['@babel/preset-env', {
-                useBuiltIns: 'usage',
-                corejs: 3
-              }]
-            ]
-          }
-        }
+
+// Entry points of the module builds, see "exports" in package.json
+const entries = {
+  core: './src/core.js',
+  auto: './src/variablur.js',
+  glass: './src/glass.js',
+  math: './src/math.js',
+  elements: './src/elements.js',
+  react: './src/bindings/react.js',
+  vue: './src/bindings/vue.js',
+  svelte: './src/bindings/svelte.js'
+};
+
+function babelRule(presetOptions) {
+  return {
+    test: /\.js$/,
+    exclude: /node_modules/,
+    use: {
+      loader: 'babel-loader',
+      options: {
+        presets: [
+          ['@babel/preset-env', presetOptions]
+        ]
       }
-    ]
-  }
-};
\ No newline at end of file
+    }
+  };
+}
+
+// The module builds leave polyfills to the app's bundler. All entries share
+// one runtime, so `core` and `glass` (or a binding) imported side by side
+// share the same state.
+function moduleBuild(name, extension, options) {
+  return Object.assign({
+    name,
+    entry: entries,
+    externals: { react: 'react' },
+    optimization: {
+      runtimeChunk: 'single',
+      splitChunks: { chunks: 'all', minSize: 0, filename: `chunks/[id].${extension}` }
+    },
+    module: {
+      rules: [babelRule({ targets: { esmodules: true } })]
+    }
+  }, options, {
+    output: Object.assign({
+      path: path.resolve(__dirname, 'dist', name),
+      filename: `[name].${extension}`,
+      chunkFilename: `chunks/[id].${extension}`,
+      publicPath: ''
+    }, options.output)
+  });
+}
+
+module.exports = [
+  // Browser bundle for <script> tags, attaches automatically
+  {
+    name: 'umd',
+    entry: './src/variablur.js',
+    output: {
+      filename: 'variablur.js',
+      path: path.resolve(__dirname, 'dist'),
+      library: 'variablur',
+      libraryTarget: 'umd',
+      libraryExport: 'default',
+      globalObject: 'this',
+      // Set at runtime from the script's URL, see src/maps.js
+      publicPath: ''
+    },
+    module: {
+      rules: [babelRule({ useBuiltIns: 'usage', corejs: 3 })]
+    }
+  },
+  moduleBuild('esm', 'mjs', {
+    externalsType: 'module',
+    experiments: { outputModule: true },
+    output: {
+      module: true,
+      chunkFormat: 'module',
+      chunkLoading: 'import',
+      library: { type: 'module' },
+      // Chunks are found relative to the module that loads them
+      publicPath: 'auto'
+    }
+  }),
+  moduleBuild('cjs', 'cjs', {
+    // require('variableblur') gives the API object, like the UMD bundle
+    entry: Object.assign({}, entries, {
+      auto: { import: entries.auto, library: { type: 'commonjs2', export: 'default' } }
+    }),
+    externalsType: 'commonjs',
+    output: {
+      chunkFormat: 'commonjs',
+      chunkLoading: 'require',
+      library: { type: 'commonjs2' }
+    }
+  })
+];